@@ -0,0 +1,104 @@
+// Signal analysis shared by the synth and the external inputs: an RMS envelope
+// follower for the overall level, and band energies around each sounding mode's
+// frequency that weight the modes of the force field. Works on plain arrays from
+// Tone.Analyser, so it needs no audio context itself.
+
+const LEVEL_ATTACK = 0.01; // Seconds for the level to rise towards a louder input
+const LEVEL_RELEASE = 0.2; // Seconds for the level to fall when the input gets quieter
+const MIN_BAND_AMPLITUDE = 1e-4; // About -80 dB; quieter spectra leave the modes alone
+
+// Samples per level measurement of a waveform analyser, long enough for low notes
+export const WAVEFORM_SIZE = 1024;
+
+/**
+ * Root mean square of a waveform
+ */
+export function rmsLevel(waveform) {
+    let sum = 0;
+    for (let i = 0; i < waveform.length; i++) sum += waveform[i] * waveform[i];
+    return waveform.length > 0 ? Math.sqrt(sum / waveform.length) : 0;
+}
+
+/**
+ * One-pole smoother that rises with the `attack` time constant and falls with the
+ * `release` one, both in seconds and adjustable on the returned object.
+ * process(input, time) takes the time in seconds and returns the smoothed value.
+ */
+export function createEnvelopeFollower(attack = LEVEL_ATTACK, release = LEVEL_RELEASE) {
+    let lastTime = null;
+    const follower = {
+        attack,
+        release,
+        value: 0,
+        process(input, time) {
+            const dt = lastTime === null ? 0 : Math.max(0, time - lastTime);
+            lastTime = time;
+            const timeConstant = input > follower.value ? follower.attack : follower.release;
+            const coefficient = timeConstant > 0 ? 1 - Math.exp(-dt / timeConstant) : 1;
+            follower.value += (input - follower.value) * coefficient;
+            return follower.value;
+        },
+    };
+    return follower;
+}
+
+/**
+ * Amplitude of the spectrum within ±`bandwidth` cents of `frequency`: the square root
+ * of the summed power of the bins in the band. `spectrum` is in decibels per bin,
+ * as from a Tone.Analyser of type 'fft', with bins `binWidth` Hz apart.
+ */
+export function bandAmplitude(spectrum, binWidth, frequency, bandwidth) {
+    const ratio = 2 ** (bandwidth / 1200);
+    const low = Math.max(1, Math.floor(frequency / ratio / binWidth));
+    const high = Math.min(spectrum.length - 1, Math.ceil((frequency * ratio) / binWidth));
+    let power = 0;
+    for (let bin = low; bin <= high; bin++) power += 10 ** (spectrum[bin] / 10);
+    return Math.sqrt(power);
+}
+
+/**
+ * Track the band energy of every sounding mode with its own envelope follower.
+ * weightModes() scales each mode's weight by its smoothed energy relative to the
+ * loudest mode, so the field follows the balance of what is actually sounding.
+ */
+export function createModeEnergyTracker() {
+    const followers = new Map(); // Mode key -> envelope follower
+
+    return {
+        /**
+         * `modes` are [{ m, n, a, b, weight, frequency }]; modes without a frequency keep
+         * their weight. `settings` holds the follower `attack` and `release` in seconds
+         * and the `bandwidth` in cents. Returns new mode objects.
+         */
+        weightModes(modes, spectrum, binWidth, time, { attack, release, bandwidth }) {
+            const seen = new Set();
+            const energies = modes.map((mode) => {
+                if (!mode.frequency) return null;
+                const key = `${mode.m},${mode.n},${mode.a},${mode.b}@${mode.frequency.toFixed(2)}`;
+                seen.add(key);
+                let follower = followers.get(key);
+                if (!follower) {
+                    follower = createEnvelopeFollower();
+                    followers.set(key, follower);
+                }
+                follower.attack = attack;
+                follower.release = release;
+                const amplitude = bandAmplitude(spectrum, binWidth, mode.frequency, bandwidth);
+                return follower.process(amplitude, time);
+            });
+
+            // Forget modes that stopped sounding
+            for (const key of followers.keys()) {
+                if (!seen.has(key)) followers.delete(key);
+            }
+
+            const loudest = Math.max(0, ...energies.filter((energy) => energy !== null));
+            if (loudest < MIN_BAND_AMPLITUDE) return modes;
+            return modes.map((mode, i) =>
+                energies[i] === null
+                    ? mode
+                    : { ...mode, weight: (mode.weight * energies[i]) / loudest },
+            );
+        },
+    };
+}
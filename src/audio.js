@@ -1,96 +1,57 @@
 import * as Tone from 'tone';
+import { createEnvelopeFollower, rmsLevel, WAVEFORM_SIZE } from './analysis.js';
 import { PARAMS } from './controls.js';
+import { getBindingFrequency, getKeyBinding } from './keymap.js';
+import { getGlideCurve } from './morph.js';
+import { calculateFrequencyFromPattern } from './tuning.js';
+import { createSynth, VOICE_ENVELOPE } from './voices.js';
 
 // Audio synthesis setup variables
 let synth; // Polyphonic synthesizer instance
 let audioEnabled = false; // Audio state flag
 let activeKeysStack = []; // Stack to manage multiple pressed keys
+let releasingVoices = []; // Released voices whose envelopes are still sounding
 let analyzer; // Audio analyzer for real-time analysis
+let fftAnalyzer; // Spectrum of the output, for the band energy of each sounding mode
+const levelFollower = createEnvelopeFollower(); // Smoothed RMS level of the output
 let reverb, delay, filter; // Effect processors
+let lastFrequency = null; // Pitch of the most recent voice, where a new one glides from
 
-// Map of keyboard keys to Chladni patterns
-export const baseKeyPatternMap = {
-    A: { basePattern: { m: 1, n: 9, a: 2, b: -2, type: 'flower' } }, // Flower/clover pattern
-    S: { basePattern: { m: 5, n: 8, a: -1, b: -2, type: 'complex' } }, // Complex crosses
-    D: { basePattern: { m: 1, n: 5, a: 1, b: -1, type: 'grid' } }, // Simple grid
-    F: { basePattern: { m: 8, n: 4, a: 1, b: 1, type: 'diamond' } }, // Diamond grid
-    G: { basePattern: { m: 5, n: 5, a: 1, b: -1, type: 'concentric' } }, // Concentric squares
-    // Additional keys with variations
-    Q: { basePattern: { m: 7, n: 7, a: 1, b: 1, type: 'simple' } },
-    W: { basePattern: { m: 11, n: 2, a: -1, b: 2, type: 'complex' } },
-    E: { basePattern: { m: 4, n: 10, a: -2, b: 1, type: 'grid' } },
-    R: { basePattern: { m: 4, n: 9, a: -2, b: -1, type: 'diamond' } },
-    T: { basePattern: { m: 4, n: 11, a: 1, b: -2, type: 'concentric' } },
-    // Special key for current pattern
-    SPACE: { basePattern: null }, // Pattern will be set dynamically from current controls
-};
-
-/**
- * Calculate frequency from Chladni pattern parameters
- * Based on the physical equation f ∝ √((m² + n²)/ρ)
- * where ρ is the plate density (assumed constant)
- */
-function calculateFrequencyFromPattern(pattern) {
-    // Base frequency calculation from mode numbers
-    const baseFreq = Math.sqrt(pattern.m * pattern.m + pattern.n * pattern.n) * 55;
-
-    // Amplitude coefficients affect the frequency through tension/stress
-    const amplitudeEffect = Math.sqrt(pattern.a * pattern.a + pattern.b * pattern.b);
-
-    // Return the final frequency, clamped between 20Hz and 2000Hz
-    return Math.min(Math.max(baseFreq * amplitudeEffect, 20), 2000);
-}
+const FFT_SIZE = 2048;
 
 /**
  * Sets up the audio synthesis system
  */
 export async function setupAudio() {
-    // Create effects chain
+    if (synth) synth.dispose();
+
+    // Create effects chain from the panel settings
     reverb = new Tone.Reverb({
-        decay: 2.5,
+        decay: PARAMS.reverbDecay,
         preDelay: 0.1,
-        wet: 0.5,
+        wet: PARAMS.reverbWet,
     }).toDestination();
 
     delay = new Tone.PingPongDelay({
-        delayTime: '8n',
-        feedback: 0.2,
+        delayTime: PARAMS.delayTime,
+        feedback: PARAMS.delayFeedback,
         wet: 0.515,
     }).connect(reverb);
 
     filter = new Tone.Filter({
-        type: 'bandpass',
-        frequency: 700,
-        Q: 2,
+        type: PARAMS.filterType,
+        frequency: PARAMS.filterFrequency,
+        Q: PARAMS.filterQ,
     }).connect(delay);
 
-    // Create a synth with FM synthesis for rich harmonics
-    synth = new Tone.FMSynth({
-        harmonicity: 3,
-        modulationIndex: 10,
-        oscillator: {
-            type: 'sine',
-        },
-        envelope: {
-            attack: 0.01,
-            decay: 0.2,
-            sustain: 0.8,
-            release: 0.25,
-        },
-        modulation: {
-            type: 'square',
-        },
-        modulationEnvelope: {
-            attack: 0.5,
-            decay: 0.31,
-            sustain: 1,
-            release: 0.25,
-        },
-    }).connect(filter); // Connect to filter first in effects chain
-
-    // Create analyzer for visualizing waveform
-    analyzer = new Tone.Analyser('waveform', 128);
-    reverb.connect(analyzer); // Connect analyzer at the end of chain
+    // Polyphonic synth of the selected voice type, connected to the filter first
+    synth = createSynth(PARAMS.synthVoice, VOICE_ENVELOPE).connect(filter);
+
+    // Analyse the level and spectrum at the end of the chain
+    analyzer = new Tone.Analyser('waveform', WAVEFORM_SIZE);
+    fftAnalyzer = new Tone.Analyser('fft', FFT_SIZE);
+    reverb.connect(analyzer);
+    reverb.connect(fftAnalyzer);
 }
 
 /**
@@ -106,13 +67,14 @@ export function handleKeyDown(event) {
     }
 
     const keyUpper = event.key.toUpperCase();
-    const keyData = baseKeyPatternMap[keyUpper];
+    // The Sound button plays the panel pattern through the space key, even if it is unbound
+    const binding = getKeyBinding(keyUpper) ?? (keyUpper === 'SPACE' ? { pattern: null } : null);
     const isActive = activeKeysStack.some((item) => item.key === keyUpper);
 
-    if (keyData && !isActive) {
-        // For space key, use current pattern from controls
+    if (binding && !isActive) {
+        // Keys bound without a pattern (such as space) use the current pattern from controls
         const pattern =
-            keyUpper === 'SPACE'
+            binding.pattern === null
                 ? {
                       m: PARAMS.m,
                       n: PARAMS.n,
@@ -120,85 +82,257 @@ export function handleKeyDown(event) {
                       b: PARAMS.patternMixY,
                       type: 'current',
                   }
-                : { ...keyData.basePattern };
-        const freq = calculateFrequencyFromPattern(pattern);
-
-        const activeKeyData = {
-            key: keyUpper,
-            pattern: pattern,
-            frequency: freq,
-        };
-        activeKeysStack.push(activeKeyData);
-
-        try {
-            // Update synth parameters based on pattern
-            const patternSum = pattern.m + pattern.n;
-
-            // Safely update filter parameters
-            if (filter && filter.frequency && filter.Q) {
-                const filterFreq = Math.min(10000, freq * 2);
-                filter.frequency.value = filterFreq;
-                filter.Q.value = Math.max(1, patternSum / 4);
-            }
-
-            // Safely update delay parameters
-            if (delay && delay.delayTime) {
-                delay.delayTime.value = Math.min(0.5, 0.1 + patternSum * 0.02);
-            }
-
-            synth.set({
-                harmonicity: Math.max(1, patternSum / 2),
-                modulationIndex: Math.min(15, patternSum * 1.5),
-                envelope: {
-                    attack: 0.01,
-                    decay: 0.1,
-                    sustain: 0.7,
-                    release: 0.25,
-                },
-            });
-
-            synth.triggerAttack(freq);
-            return pattern;
-        } catch (error) {
-            console.error('Error updating audio parameters:', error);
-            return null;
-        }
+                : { ...binding.pattern };
+        const freq = getBindingFrequency(binding, pattern);
+        return startVoice(keyUpper, pattern, freq, 1);
     }
     return null;
 }
 
 /**
- * Handles keyup events
+ * Push a voice onto the key stack and play it
+ * Pattern parameters also shape the filter, delay and FM timbre.
+ * Returns the pattern, or null if the synth could not be updated.
  */
-export function handleKeyUp(event) {
-    if (!audioEnabled || !synth) return null;
+function startVoice(key, pattern, freq, velocity) {
+    // Glide from the previous pitch only while it is still sounding, like a legato portamento
+    const now = Tone.now();
+    const isSounding =
+        activeKeysStack.length > 0 ||
+        releasingVoices.some((voice) => now < voice.releaseTime + VOICE_ENVELOPE.release);
+    const glideFrom = isSounding ? lastFrequency : null;
 
-    const keyUpper = event.key.toUpperCase();
-    const releasedKeyIndex = activeKeysStack.findIndex((item) => item.key === keyUpper);
+    const activeKeyData = {
+        key: key,
+        pattern: pattern,
+        frequency: freq,
+        note: freq, // Pitch the synth knows the voice by, kept through glides
+        synthVoice: null, // Voice of the synth playing the key
+        velocity: velocity,
+        startTime: now,
+        releaseTime: null,
+    };
+    activeKeysStack.push(activeKeyData);
+
+    try {
+        applyPatternTimbre(pattern, freq);
+        activeKeyData.synthVoice = synth.triggerAttack(freq, undefined, velocity);
+        glideVoice(activeKeyData.synthVoice, glideFrom ?? freq, freq);
+        lastFrequency = freq;
+        return pattern;
+    } catch (error) {
+        console.error('Error updating audio parameters:', error);
+        return null;
+    }
+}
+
+/**
+ * Glide a synth voice from one pitch to another over the morph time,
+ * along the morph easing curve. Without a morph time the voice jumps straight there.
+ */
+function glideVoice(voice, fromFrequency, toFrequency) {
+    if (!voice) return;
+
+    // Replace whatever is left of an earlier glide
+    const now = Tone.now();
+    voice.frequency.cancelScheduledValues(now);
+    if (PARAMS.morphTime > 0 && fromFrequency !== toFrequency) {
+        const curve = getGlideCurve(fromFrequency, toFrequency, PARAMS.morphEasing);
+        voice.frequency.setValueCurveAtTime(curve, now, PARAMS.morphTime);
+    } else {
+        voice.frequency.setValueAtTime(toFrequency, now);
+    }
+}
+
+/**
+ * Shape the filter, delay and modulation timbre from the pattern parameters,
+ * unless pattern modulation is turned off in the panel
+ */
+function applyPatternTimbre(pattern, freq) {
+    if (!PARAMS.patternModulation) return;
+
+    // Update synth parameters based on pattern
+    const patternSum = pattern.m + pattern.n;
+
+    // Safely update filter parameters
+    if (filter && filter.frequency && filter.Q) {
+        const filterFreq = Math.min(10000, freq * 2);
+        filter.frequency.value = filterFreq;
+        filter.Q.value = Math.max(1, patternSum / 4);
+    }
+
+    // Safely update delay parameters
+    if (delay && delay.delayTime) {
+        delay.delayTime.value = Math.min(0.5, 0.1 + patternSum * 0.02);
+    }
+
+    // Only the modulation synths have a harmonicity to shape
+    if (PARAMS.synthVoice === 'fm') {
+        synth.set({
+            harmonicity: Math.max(1, patternSum / 2),
+            modulationIndex: Math.min(15, patternSum * 1.5),
+        });
+    } else if (PARAMS.synthVoice === 'am') {
+        synth.set({ harmonicity: Math.max(1, patternSum / 4) });
+    }
+}
+
+/**
+ * Play a pattern for a fixed `duration` (a Tone.js time such as '8n') starting at `time`,
+ * as scheduled by the sequencer. `velocity` in (0, 1] scales the loudness, and `freq`
+ * defaults to the pattern's pitch. Returns the pattern, or null if audio is not running.
+ */
+export function playPattern(
+    pattern,
+    duration,
+    velocity,
+    time,
+    freq = calculateFrequencyFromPattern(pattern),
+) {
+    if (!audioEnabled || !synth || !filter || !delay || !reverb) return null;
+
+    const startTime = time ?? Tone.now();
+    const seconds = Tone.Time(duration).toSeconds();
+
+    try {
+        applyPatternTimbre(pattern, freq);
+        synth.triggerAttackRelease(freq, seconds, startTime, velocity);
+    } catch (error) {
+        console.error('Error playing pattern:', error);
+        return null;
+    }
+
+    // Track the note like a released key, so it weights the plate for its whole envelope
+    releasingVoices.push({
+        key: null,
+        pattern: pattern,
+        frequency: freq,
+        velocity: velocity,
+        startTime: startTime,
+        releaseTime: startTime + seconds,
+    });
+    return pattern;
+}
+
+/**
+ * Release a held voice; the other held voices keep sounding
+ * Returns the pattern of the most recent voice still held, or null
+ */
+function releaseVoice(key) {
+    const releasedKeyIndex = activeKeysStack.findIndex((item) => item.key === key);
 
     if (releasedKeyIndex !== -1) {
-        synth.triggerRelease();
-        activeKeysStack.splice(releasedKeyIndex, 1);
+        const [releasedKeyData] = activeKeysStack.splice(releasedKeyIndex, 1);
+        synth.triggerRelease(releasedKeyData.note);
+        releasedKeyData.releaseTime = Tone.now();
+        releasingVoices.push(releasedKeyData);
 
         if (activeKeysStack.length > 0) {
-            const lastActiveKeyData = activeKeysStack[activeKeysStack.length - 1];
-            synth.triggerAttack(lastActiveKeyData.frequency);
-            return lastActiveKeyData.pattern;
+            return activeKeysStack[activeKeysStack.length - 1].pattern;
         }
     }
     return null;
 }
 
+/**
+ * Approximate envelope level of a voice at `time`, following VOICE_ENVELOPE
+ */
+function getEnvelopeLevel(voice, time) {
+    const { attack, decay, sustain, release } = VOICE_ENVELOPE;
+    const heldLevel = (heldTime) => {
+        const elapsed = heldTime - voice.startTime;
+        if (elapsed < 0) return 0; // Scheduled but not started yet
+        if (elapsed < attack) return elapsed / attack;
+        if (elapsed < attack + decay) return 1 - ((1 - sustain) * (elapsed - attack)) / decay;
+        return sustain;
+    };
+
+    if (voice.releaseTime === null || time < voice.releaseTime) return heldLevel(time);
+    const released = time - voice.releaseTime;
+    return released >= release ? 0 : heldLevel(voice.releaseTime) * (1 - released / release);
+}
+
+/**
+ * Modes of every sounding voice, weighted by envelope and velocity
+ * Returns [{ m, n, a, b, weight, frequency }]; weights are scaled so a chord sums to at most 1.
+ * Empty when nothing is playing.
+ */
+export function getActiveModes() {
+    if (!audioEnabled) return [];
+
+    const now = Tone.now();
+    releasingVoices = releasingVoices.filter(
+        (voice) => now < voice.releaseTime + VOICE_ENVELOPE.release,
+    );
+
+    const modes = [...activeKeysStack, ...releasingVoices].map((voice) => ({
+        m: voice.pattern.m,
+        n: voice.pattern.n,
+        a: voice.pattern.a,
+        b: voice.pattern.b,
+        weight: getEnvelopeLevel(voice, now) * voice.velocity,
+        frequency: voice.frequency,
+    }));
+    const totalWeight = modes.reduce((sum, mode) => sum + mode.weight, 0);
+    if (totalWeight > 1) {
+        modes.forEach((mode) => (mode.weight /= totalWeight));
+    }
+    return modes;
+}
+
+/**
+ * Handles MIDI note-on: plays the note's own pitch while showing `pattern` on the plate
+ * `velocity` in (0, 1] scales the loudness
+ */
+export function handleNoteOn(note, frequency, pattern, velocity) {
+    if (!audioEnabled || !synth) return null;
+    if (!filter || !delay || !reverb) {
+        console.warn('Effects not initialized, skipping note event');
+        return null;
+    }
+
+    const key = `MIDI${note}`;
+    if (activeKeysStack.some((item) => item.key === key)) return null;
+    return startVoice(key, { ...pattern }, frequency, velocity);
+}
+
+/**
+ * Handles MIDI note-off
+ */
+export function handleNoteOff(note) {
+    if (!audioEnabled || !synth) return null;
+    return releaseVoice(`MIDI${note}`);
+}
+
+/**
+ * Handles keyup events
+ */
+export function handleKeyUp(event) {
+    if (!audioEnabled || !synth) return null;
+
+    return releaseVoice(event.key.toUpperCase());
+}
+
 export function isAudioEnabled() {
     return audioEnabled;
 }
 
+/**
+ * RMS level of the output, smoothed by an envelope follower so it does not flicker
+ */
 export function getAudioLevel() {
-    if (analyzer && audioEnabled) {
-        const waveform = analyzer.getValue();
-        return Math.max(...waveform.map(Math.abs));
-    }
-    return 0;
+    const level = analyzer && audioEnabled ? rmsLevel(analyzer.getValue()) : 0;
+    return levelFollower.process(level, performance.now() / 1000);
+}
+
+/**
+ * Spectrum of the output in decibels per bin, with the bin spacing in Hz,
+ * or null when the synth is off
+ */
+export function getSpectrum() {
+    if (!fftAnalyzer || !audioEnabled) return null;
+    // The analyser's FFT is twice the number of bins it reports
+    return { spectrum: fftAnalyzer.getValue(), binWidth: Tone.context.sampleRate / (FFT_SIZE * 2) };
 }
 
 export async function startAudio(frequency, volume) {
@@ -220,24 +354,97 @@ export async function startAudio(frequency, volume) {
 
 export function stopAudio() {
     if (synth && audioEnabled) {
-        synth.triggerRelease();
+        synth.releaseAll();
         audioEnabled = false;
         // Clear any active keys
         activeKeysStack = [];
+        releasingVoices = [];
+        lastFrequency = null;
 
         // Dispose effects when stopping
         if (reverb) reverb.dispose();
         if (delay) delay.dispose();
         if (filter) filter.dispose();
+        if (analyzer) analyzer.dispose();
+        if (fftAnalyzer) fftAnalyzer.dispose();
         reverb = null;
         delay = null;
         filter = null;
+        analyzer = null;
+        fftAnalyzer = null;
     }
 }
 
+/**
+ * Retune the voices playing the panel pattern (such as the space key) to follow the controls,
+ * gliding over the morph time if there is one
+ */
 export function updateFrequency(frequency) {
     if (synth && audioEnabled) {
-        synth.frequency.value = frequency;
+        activeKeysStack
+            .filter((voice) => voice.pattern.type === 'current')
+            .forEach((voice) => {
+                if (PARAMS.morphTime > 0) {
+                    glideVoice(voice.synthVoice, voice.frequency, frequency);
+                } else {
+                    synth.triggerRelease(voice.note);
+                    voice.synthVoice = synth.triggerAttack(frequency, undefined, voice.velocity);
+                    voice.note = frequency;
+                }
+                voice.frequency = frequency;
+                lastFrequency = frequency;
+                voice.pattern = {
+                    m: PARAMS.m,
+                    n: PARAMS.n,
+                    a: PARAMS.patternMixX,
+                    b: PARAMS.patternMixY,
+                    type: 'current',
+                };
+            });
+    }
+}
+
+/**
+ * Apply the reverb, delay and filter settings from the panel
+ */
+export function updateEffects() {
+    if (reverb) {
+        // Changing the decay regenerates the impulse response, so only do it when needed
+        if (reverb.decay !== PARAMS.reverbDecay) reverb.decay = PARAMS.reverbDecay;
+        reverb.wet.value = PARAMS.reverbWet;
+    }
+    if (delay) {
+        delay.delayTime.value = PARAMS.delayTime;
+        delay.feedback.value = PARAMS.delayFeedback;
+    }
+    if (filter) {
+        filter.type = PARAMS.filterType;
+        filter.frequency.value = PARAMS.filterFrequency;
+        filter.Q.value = PARAMS.filterQ;
+    }
+}
+
+/**
+ * Switch the synth to another voice type; held notes carry on in the new voice
+ */
+export function setSynthVoice(voice) {
+    if (!synth || !filter) return; // setupAudio() picks the voice from PARAMS
+
+    const volume = synth.volume.value;
+    synth.dispose();
+    synth = createSynth(voice, VOICE_ENVELOPE).connect(filter);
+    synth.volume.value = volume;
+
+    releasingVoices = [];
+    if (audioEnabled) {
+        activeKeysStack.forEach((voiceData) => {
+            voiceData.synthVoice = synth.triggerAttack(
+                voiceData.frequency,
+                undefined,
+                voiceData.velocity,
+            );
+            voiceData.note = voiceData.frequency;
+        });
     }
 }
 
@@ -0,0 +1,78 @@
+import * as Tone from 'tone';
+
+// Record the canvas together with the master audio output into a WebM file
+
+const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+const FRAME_RATE = 60;
+
+let recorder = null; // MediaRecorder while recording
+let audioDestination = null; // MediaStream node tapping the Tone destination
+let chunks = [];
+
+export function isRecordingSupported() {
+    return typeof MediaRecorder !== 'undefined';
+}
+
+export function isRecording() {
+    return recorder !== null;
+}
+
+/**
+ * Start recording `canvas` and everything Tone.js sends to the speakers
+ */
+export function startRecording(canvas) {
+    if (recorder) return;
+
+    const stream = canvas.captureStream(FRAME_RATE);
+
+    // Tap the master output; the speakers keep receiving it as before
+    audioDestination = Tone.getContext().createMediaStreamDestination();
+    Tone.getDestination().connect(audioDestination);
+    audioDestination.stream.getAudioTracks().forEach((track) => stream.addTrack(track));
+
+    const mimeType = MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+    recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    chunks = [];
+    recorder.addEventListener('dataavailable', (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+    });
+    recorder.start(1000); // Collect data every second so long takes don't pile up in one chunk
+}
+
+/**
+ * Stop recording and resolve with the WebM video
+ */
+export function stopRecording() {
+    if (!recorder) return Promise.resolve(null);
+
+    const stoppedRecorder = recorder;
+    recorder = null;
+
+    return new Promise((resolve) => {
+        stoppedRecorder.addEventListener(
+            'stop',
+            () => {
+                Tone.getDestination().disconnect(audioDestination);
+                audioDestination = null;
+                stoppedRecorder.stream.getTracks().forEach((track) => track.stop());
+                resolve(new Blob(chunks, { type: stoppedRecorder.mimeType || 'video/webm' }));
+                chunks = [];
+            },
+            { once: true },
+        );
+        stoppedRecorder.stop();
+    });
+}
+
+/**
+ * Encode the current contents of a canvas as a PNG Blob
+ * Must be called in the same task as the render, before the drawing buffer is cleared.
+ */
+export function canvasToPng(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(
+            (blob) => (blob ? resolve(blob) : reject(new Error('Empty canvas'))),
+            'image/png',
+        );
+    });
+}
@@ -0,0 +1,234 @@
+// Nodal line extraction: sample a plate field on a grid, trace its f = 0 contours
+// with marching squares and write them out as SVG polylines.
+// Coordinates are normalized to [-1, 1] across the plate, with y pointing up.
+
+/**
+ * Sample `field(x, y)` on a resolution × resolution grid of cell centres.
+ * Centres keep samples off the plate edge, where the field is zero and its sign is noise.
+ * Points where `isInside(x, y)` is false are stored as NaN.
+ */
+export function sampleField(field, resolution, isInside = () => true) {
+    const values = new Float64Array(resolution * resolution);
+    for (let j = 0; j < resolution; j++) {
+        const y = ((j + 0.5) / resolution) * 2 - 1;
+        for (let i = 0; i < resolution; i++) {
+            const x = ((i + 0.5) / resolution) * 2 - 1;
+            values[j * resolution + i] = isInside(x, y) ? field(x, y) : NaN;
+        }
+    }
+    return { values, resolution };
+}
+
+// Corner pairs of each cell edge: 0 bottom, 1 right, 2 top, 3 left
+const EDGE_CORNERS = [
+    [0, 1],
+    [1, 2],
+    [3, 2],
+    [0, 3],
+];
+
+// Edge pairs crossed by the zero contour for each corner sign case.
+// Bit k is set when corner k (bottom-left, bottom-right, top-right, top-left) is positive.
+// Cases 5 and 10 are saddles, resolved below with the cell centre value.
+const CASE_SEGMENTS = [
+    [],
+    [[0, 3]],
+    [[0, 1]],
+    [[1, 3]],
+    [[1, 2]],
+    null,
+    [[0, 2]],
+    [[2, 3]],
+    [[2, 3]],
+    [[0, 2]],
+    null,
+    [[1, 2]],
+    [[1, 3]],
+    [[0, 1]],
+    [[0, 3]],
+    [],
+];
+
+/**
+ * Trace the zero contours of a sampled field into polylines.
+ * Returns a list of { points: [[x, y], ...], closed }.
+ */
+export function extractContours({ values, resolution }) {
+    const toCoordinate = (index) => ((index + 0.5) / resolution) * 2 - 1;
+    const pointsByEdge = new Map(); // Edge key -> interpolated crossing point
+    const segments = []; // Pairs of edge keys
+    const edgeKey = (i, j, edge) => {
+        // Shared edges get the same key from both neighbouring cells
+        if (edge === 0) return `h${i},${j}`;
+        if (edge === 2) return `h${i},${j + 1}`;
+        if (edge === 3) return `v${i},${j}`;
+        return `v${i + 1},${j}`;
+    };
+
+    for (let j = 0; j < resolution - 1; j++) {
+        for (let i = 0; i < resolution - 1; i++) {
+            const corners = [
+                [i, j],
+                [i + 1, j],
+                [i + 1, j + 1],
+                [i, j + 1],
+            ];
+            const cornerValues = corners.map(([ci, cj]) => values[cj * resolution + ci]);
+            if (cornerValues.some(Number.isNaN)) continue;
+
+            let caseIndex = 0;
+            cornerValues.forEach((value, k) => {
+                if (value > 0) caseIndex |= 1 << k;
+            });
+
+            let cellSegments = CASE_SEGMENTS[caseIndex];
+            if (cellSegments === null) {
+                // Saddle: the centre decides which diagonal corners are connected
+                const centre = cornerValues.reduce((sum, value) => sum + value, 0) / 4;
+                const centrePositive = centre > 0;
+                const bottomLeftPositive = caseIndex === 5;
+                cellSegments =
+                    centrePositive === bottomLeftPositive
+                        ? [
+                              [0, 1],
+                              [2, 3],
+                          ]
+                        : [
+                              [0, 3],
+                              [1, 2],
+                          ];
+            }
+
+            for (const [edgeA, edgeB] of cellSegments) {
+                const keys = [edgeA, edgeB].map((edge) => {
+                    const key = edgeKey(i, j, edge);
+                    if (!pointsByEdge.has(key)) {
+                        const [cornerA, cornerB] = EDGE_CORNERS[edge];
+                        const valueA = cornerValues[cornerA];
+                        const valueB = cornerValues[cornerB];
+                        const t = valueA / (valueA - valueB);
+                        const [ai, aj] = corners[cornerA];
+                        const [bi, bj] = corners[cornerB];
+                        pointsByEdge.set(key, [
+                            toCoordinate(ai + (bi - ai) * t),
+                            toCoordinate(aj + (bj - aj) * t),
+                        ]);
+                    }
+                    return key;
+                });
+                segments.push(keys);
+            }
+        }
+    }
+
+    return joinSegments(segments, pointsByEdge);
+}
+
+/**
+ * Chain segments that share an edge crossing into polylines
+ */
+function joinSegments(segments, pointsByEdge) {
+    const segmentsByKey = new Map();
+    segments.forEach(([keyA, keyB], index) => {
+        for (const key of [keyA, keyB]) {
+            if (!segmentsByKey.has(key)) segmentsByKey.set(key, []);
+            segmentsByKey.get(key).push(index);
+        }
+    });
+
+    const used = new Uint8Array(segments.length);
+    const polylines = [];
+
+    // Follow unused segments from `key` and return the keys visited
+    const walk = (key) => {
+        const keys = [];
+        let current = key;
+        for (;;) {
+            const next = segmentsByKey.get(current).find((index) => !used[index]);
+            if (next === undefined) break;
+            used[next] = 1;
+            const [keyA, keyB] = segments[next];
+            current = keyA === current ? keyB : keyA;
+            keys.push(current);
+        }
+        return keys;
+    };
+
+    segments.forEach(([keyA], index) => {
+        if (used[index]) return;
+        // Walk both ways from the segment's first end so open lines come out whole
+        const forward = walk(keyA);
+        const backward = walk(keyA);
+        const keys = [...backward.reverse(), keyA, ...forward];
+        const closed = keys.length > 2 && keys[0] === keys[keys.length - 1];
+        polylines.push({
+            points: (closed ? keys.slice(1) : keys).map((key) => pointsByEdge.get(key)),
+            closed,
+        });
+    });
+
+    return polylines;
+}
+
+/**
+ * Drop points closer than `tolerance` to the line through their neighbours
+ * (Ramer–Douglas–Peucker), keeping the figure while shrinking the file
+ */
+export function simplifyPolyline(points, tolerance) {
+    if (points.length < 3) return points;
+
+    const [ax, ay] = points[0];
+    const [bx, by] = points[points.length - 1];
+    const dx = bx - ax;
+    const dy = by - ay;
+    const length = Math.hypot(dx, dy);
+
+    let maxDistance = 0;
+    let maxIndex = 0;
+    for (let i = 1; i < points.length - 1; i++) {
+        const [px, py] = points[i];
+        const distance =
+            length > 0
+                ? Math.abs(dy * px - dx * py + bx * ay - by * ax) / length
+                : Math.hypot(px - ax, py - ay);
+        if (distance > maxDistance) {
+            maxDistance = distance;
+            maxIndex = i;
+        }
+    }
+
+    if (maxDistance <= tolerance) return [points[0], points[points.length - 1]];
+    const left = simplifyPolyline(points.slice(0, maxIndex + 1), tolerance);
+    const right = simplifyPolyline(points.slice(maxIndex), tolerance);
+    return [...left.slice(0, -1), ...right];
+}
+
+/**
+ * Write polylines as an SVG document `size` millimetres wide.
+ * `outline` adds the plate edge: 'square', 'circular' or null for none.
+ */
+export function contoursToSvg(polylines, { size = 200, outline = null, strokeWidth = 0.3 } = {}) {
+    const toSvg = ([x, y]) =>
+        `${(((x + 1) / 2) * size).toFixed(3)},${(((1 - y) / 2) * size).toFixed(3)}`;
+
+    const shapes = polylines.map(({ points, closed }) => {
+        const path = closed ? [...points, points[0]] : points;
+        return `  <polyline points="${path.map(toSvg).join(' ')}"/>`;
+    });
+
+    if (outline === 'circular') {
+        shapes.unshift(`  <circle cx="${size / 2}" cy="${size / 2}" r="${size / 2}"/>`);
+    } else if (outline) {
+        shapes.unshift(`  <rect x="0" y="0" width="${size}" height="${size}"/>`);
+    }
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${size}mm" height="${size}mm" viewBox="0 0 ${size} ${size}">`,
+        `<g fill="none" stroke="#000" stroke-width="${strokeWidth}" stroke-linejoin="round" stroke-linecap="round">`,
+        ...shapes,
+        '</g>',
+        '</svg>',
+        '',
+    ].join('\n');
+}
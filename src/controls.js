@@ -1,4 +1,19 @@
 import { Pane } from 'tweakpane';
+import { downloadFile, pickFile } from './files.js';
+import { GALLERY, GALLERY_FILTERS, GALLERY_SORTS } from './gallery.js';
+import * as keymap from './keymap.js';
+import { MOD_WHEEL } from './midi.js';
+import { PARAM_SCHEMA, TUNING_SCHEMA } from './paramSchema.js';
+import * as presets from './presets.js';
+import {
+    MAX_STEPS,
+    SEQUENCER,
+    setStepListener,
+    STEP_DURATIONS,
+    steps,
+    updateTransport,
+} from './sequencer.js';
+import { hasScalaScale, loadScala, NOTE_NAMES, SCALES, TUNING } from './tuning.js';
 
 // Initial parameters matching the physical Chladni plate equation
 export const PARAMS = {
@@ -10,6 +25,60 @@ export const PARAMS = {
     particles: 50000,
     volume: 1,
     isPlaying: false, // Ensure sound is off by default
+    view: '2d', // Flat '2d' view from above, or the displaced '3d' plate surface
+    surfaceAmplitude: 0.25, // Peak height of the 3D surface in world units
+    renderMode: 'points', // 'points', 'speed', 'field', 'density' heatmap or motion 'trails'
+    palette: 'inferno', // Colour palette of the speed, field and density modes
+    backgroundColor: '#111111',
+    trailFade: 0.9, // Share of the trails kept each frame
+    nodalLines: false, // Overlay the analytic nodal lines
+    synthVoice: 'fm', // Synth voice type: 'fm', 'am', 'oscillator' or 'plate' (additive)
+    patternModulation: true, // Let each played pattern reshape the filter, delay and timbre
+    spectralDrive: true, // Weight each mode by the sound energy around its frequency
+    energyAttack: 0.02, // Seconds for a mode's band energy to rise
+    energyRelease: 0.3, // Seconds for a mode's band energy to fall
+    energyBandwidth: 50, // Cents either side of a mode's frequency counted as its band
+    reverbDecay: 2.5, // Reverb tail in seconds
+    reverbWet: 0.5,
+    delayTime: 0.25, // Ping-pong delay in seconds
+    delayFeedback: 0.2,
+    filterType: 'bandpass',
+    filterFrequency: 700, // Hz
+    filterQ: 2,
+    inputSource: 'synth', // Sound that drives the plate: 'synth', 'microphone' or 'file'
+    plateShape: 'square', // Plate geometry: 'square', 'circular' or 'free' (free edges)
+    physicsModel: 'diffuse', // 'diffuse' random walk or 'gradient' descent onto nodal lines
+    settleSpeed: 1, // How fast particles slide towards nodes in the gradient model
+    jitter: 0.2, // Random motion in the gradient model, relative to the diffuse kicks
+    interaction: false, // Particles repel each other and pile up like sand
+    interactionRadius: 0.01, // Contact distance between particles in world units
+    interactionStiffness: 0.5, // Share of an overlap pushed apart each frame
+    interactionFriction: 0.2, // How strongly touching particles match their velocities
+    morphTime: 0.3, // Seconds to crossfade between patterns and glide between pitches (0 = jump)
+    morphEasing: 'easeInOut', // Easing curve of the crossfade and glide
+    midiVibrationCC: MOD_WHEEL, // MIDI controller assigned to vibration strength (0 = none)
+    midiMixXCC: 0, // MIDI controller assigned to the 1st wave coefficient
+    midiMixYCC: 0, // MIDI controller assigned to the 2nd wave coefficient
+    // On-screen pads, shown by default on touch screens
+    showPads: window.matchMedia('(pointer: coarse)').matches,
+    bowGesture: true, // Dragging on the canvas bows the plate
+    showPerformance: false, // Frame rate and timing overlay
+    adaptiveQuality: false, // Lower the particle count and pixel ratio to hold the target frame rate
+    targetFps: 60,
+    snapshotSize: 4096, // Width and height of PNG snapshots in pixels
+    svgResolution: 400, // Grid samples per side when tracing nodal lines for SVG export
+    svgOutline: true, // Include the plate outline in SVG exports
+};
+
+// Connection status shown in the MIDI folder
+const midiState = {
+    status: 'Not connected',
+};
+
+// Pitch of the panel pattern shown in the Tuning folder
+const tuningState = {
+    note: '',
+    scala: 'None loaded',
 };
 
 // Store control references for external updates
@@ -18,6 +87,12 @@ let controlRefs = {
     n: null,
     patternMixX: null,
     patternMixY: null,
+    inputSource: null,
+    vibrationStrength: null,
+    midiStatus: null,
+    note: null,
+    isPlaying: null,
+    sequencerPlaying: null,
 };
 
 // Export function to update control values
@@ -34,12 +109,47 @@ export function updateControlValues(values) {
     if (values.patternMixY !== undefined && controlRefs.patternMixY) {
         controlRefs.patternMixY.refresh();
     }
+    if (values.inputSource !== undefined && controlRefs.inputSource) {
+        controlRefs.inputSource.refresh();
+    }
+    if (values.vibrationStrength !== undefined && controlRefs.vibrationStrength) {
+        controlRefs.vibrationStrength.refresh();
+    }
+    if (values.isPlaying !== undefined && controlRefs.isPlaying) {
+        controlRefs.isPlaying.refresh();
+    }
+}
+
+// Export function to show the MIDI connection status
+export function updateMidiStatus(status) {
+    midiState.status = status;
+    controlRefs.midiStatus?.refresh();
+}
+
+// Export function to show the note name and cents offset of the sounding pitch
+export function updateNoteDisplay(note) {
+    tuningState.note = note;
+    controlRefs.note?.refresh();
+}
+
+// Export function to show whether the sequencer runs after it was stopped from elsewhere
+export function updateSequencerStatus() {
+    controlRefs.sequencerPlaying?.refresh();
 }
 
 // Setup controls function
 export function setupControls(callbacks) {
     const pane = new Pane();
 
+    // Plate geometry
+    const plateFolder = pane.addFolder({ title: 'Plate' });
+    plateFolder
+        .addBinding(PARAMS, 'plateShape', {
+            ...PARAM_SCHEMA.plateShape,
+            label: 'Shape',
+        })
+        .on('change', ({ value }) => callbacks.onPlateShapeChange?.(value));
+
     // Pattern mode numbers
     const patternFolder = pane.addFolder({
         title: 'Mode Numbers',
@@ -47,17 +157,13 @@ export function setupControls(callbacks) {
     });
     controlRefs.m = patternFolder
         .addBinding(PARAMS, 'm', {
-            min: 1,
-            max: 15,
-            step: 1,
+            ...PARAM_SCHEMA.m,
             label: 'X Mode',
         })
         .on('change', ({ value }) => callbacks.onPatternChange?.(value));
     controlRefs.n = patternFolder
         .addBinding(PARAMS, 'n', {
-            min: 1,
-            max: 15,
-            step: 1,
+            ...PARAM_SCHEMA.n,
             label: 'Y Mode',
         })
         .on('change', ({ value }) => callbacks.onPatternChange?.(value));
@@ -69,51 +175,137 @@ export function setupControls(callbacks) {
     });
     controlRefs.patternMixX = mixingFolder
         .addBinding(PARAMS, 'patternMixX', {
-            min: -2,
-            max: 2,
-            step: 1,
+            ...PARAM_SCHEMA.patternMixX,
             label: '1st Wave',
         })
         .on('change', ({ value }) => callbacks.onPatternChange?.(value));
     controlRefs.patternMixY = mixingFolder
         .addBinding(PARAMS, 'patternMixY', {
-            min: -2,
-            max: 2,
-            step: 1,
+            ...PARAM_SCHEMA.patternMixY,
             label: '2nd Wave',
         })
         .on('change', ({ value }) => callbacks.onPatternChange?.(value));
 
     // Simulation parameters
     const simulationFolder = pane.addFolder({ title: 'Simulation Parameters' });
-    simulationFolder
+    controlRefs.vibrationStrength = simulationFolder
         .addBinding(PARAMS, 'vibrationStrength', {
-            min: 0.01,
-            max: 0.2,
-            step: 0.01,
+            ...PARAM_SCHEMA.vibrationStrength,
             label: 'Vibration',
         })
         .on('change', ({ value }) => callbacks.onVibrationChange?.(value));
     simulationFolder
         .addBinding(PARAMS, 'particles', {
-            min: 1000,
-            max: 100000,
-            step: 1000,
+            ...PARAM_SCHEMA.particles,
             label: 'Particles',
         })
         .on('change', ({ value }) => callbacks.onParticlesChange?.(value));
+    simulationFolder.addBinding(PARAMS, 'physicsModel', {
+        ...PARAM_SCHEMA.physicsModel,
+        label: 'Physics',
+    });
+    simulationFolder.addBinding(PARAMS, 'settleSpeed', {
+        ...PARAM_SCHEMA.settleSpeed,
+        label: 'Settling',
+    });
+    simulationFolder.addBinding(PARAMS, 'jitter', {
+        ...PARAM_SCHEMA.jitter,
+        label: 'Jitter',
+    });
+
+    // Contact between particles, found through a spatial hash grid
+    const interactionFolder = simulationFolder.addFolder({
+        title: 'Interaction',
+        expanded: false,
+    });
+    interactionFolder.addBinding(PARAMS, 'interaction', { label: 'Enabled' });
+    interactionFolder.addBinding(PARAMS, 'interactionRadius', {
+        ...PARAM_SCHEMA.interactionRadius,
+        label: 'Radius',
+    });
+    interactionFolder.addBinding(PARAMS, 'interactionStiffness', {
+        ...PARAM_SCHEMA.interactionStiffness,
+        label: 'Stiffness',
+    });
+    interactionFolder.addBinding(PARAMS, 'interactionFriction', {
+        ...PARAM_SCHEMA.interactionFriction,
+        label: 'Friction',
+    });
+
+    // Transitions between patterns
+    const morphFolder = pane.addFolder({ title: 'Morph', expanded: false });
+    morphFolder.addBinding(PARAMS, 'morphTime', { ...PARAM_SCHEMA.morphTime, label: 'Time (s)' });
+    morphFolder.addBinding(PARAMS, 'morphEasing', { ...PARAM_SCHEMA.morphEasing, label: 'Easing' });
+
+    // Render modes, palettes and overlays
+    const renderFolder = pane.addFolder({ title: 'Rendering', expanded: false });
+    renderFolder
+        .addBinding(PARAMS, 'view', { ...PARAM_SCHEMA.view, label: 'View' })
+        .on('change', ({ value }) => callbacks.onViewChange?.(value));
+    renderFolder.addBinding(PARAMS, 'surfaceAmplitude', {
+        ...PARAM_SCHEMA.surfaceAmplitude,
+        label: '3D Height',
+    });
+    renderFolder.addBinding(PARAMS, 'renderMode', { ...PARAM_SCHEMA.renderMode, label: 'Mode' });
+    renderFolder.addBinding(PARAMS, 'palette', { ...PARAM_SCHEMA.palette, label: 'Palette' });
+    renderFolder.addBinding(PARAMS, 'backgroundColor', { label: 'Background' });
+    renderFolder.addBinding(PARAMS, 'trailFade', {
+        ...PARAM_SCHEMA.trailFade,
+        label: 'Trail Fade',
+    });
+    renderFolder.addBinding(PARAMS, 'nodalLines', { label: 'Nodal Lines' });
+
+    // Frame timing overlay and adaptive quality
+    const performanceFolder = pane.addFolder({
+        title: 'Performance',
+        description: 'Adaptive quality trades particles and sharpness for frame rate',
+        expanded: false,
+    });
+    performanceFolder
+        .addBinding(PARAMS, 'showPerformance', { label: 'HUD' })
+        .on('change', ({ value }) => callbacks.onShowPerformanceChange?.(value));
+    performanceFolder
+        .addBinding(PARAMS, 'adaptiveQuality', { label: 'Adaptive' })
+        .on('change', ({ value }) => callbacks.onAdaptiveQualityChange?.(value));
+    performanceFolder.addBinding(PARAMS, 'targetFps', {
+        ...PARAM_SCHEMA.targetFps,
+        label: 'Target FPS',
+    });
 
     // Audio parameters
     const audioFolder = pane.addFolder({ title: 'Audio' });
     audioFolder
         .addBinding(PARAMS, 'volume', {
-            min: 0,
-            max: 1,
-            step: 0.1,
+            ...PARAM_SCHEMA.volume,
             label: 'Volume',
         })
         .on('change', ({ value }) => callbacks.onVolumeChange?.(value));
 
+    audioFolder
+        .addBinding(PARAMS, 'synthVoice', {
+            ...PARAM_SCHEMA.synthVoice,
+            label: 'Voice',
+        })
+        .on('change', ({ value }) => callbacks.onSynthVoiceChange?.(value));
+
+    // Input source selector
+    controlRefs.inputSource = audioFolder
+        .addBinding(PARAMS, 'inputSource', {
+            options: {
+                Synth: 'synth',
+                Microphone: 'microphone',
+                'Audio File': 'file',
+            },
+            label: 'Input',
+        })
+        .on('change', ({ value }) => callbacks.onInputSourceChange?.(value));
+
+    // File picker for the audio file source
+    audioFolder.addButton({ title: 'Load...', label: 'Audio File' }).on('click', async () => {
+        const file = await pickFile('.wav,.mp3,.ogg,audio/wav,audio/mpeg,audio/ogg');
+        if (file) callbacks.onAudioFileSelect?.(file);
+    });
+
     // Add play button with dynamic styling
     const btn = audioFolder.addButton({
         title: 'Off',
@@ -128,6 +320,7 @@ export function setupControls(callbacks) {
 
     // Initial button style
     updateButtonStyle(PARAMS.isPlaying);
+    controlRefs.isPlaying = { refresh: () => updateButtonStyle(PARAMS.isPlaying) };
 
     // Handle button click
     btn.on('click', () => {
@@ -136,5 +329,613 @@ export function setupControls(callbacks) {
         callbacks.onPlayingChange?.(PARAMS.isPlaying);
     });
 
+    // Band energy around each sounding mode's frequency, weighting the modes on the plate
+    const spectralFolder = audioFolder.addFolder({ title: 'Spectral Drive', expanded: false });
+    spectralFolder.addBinding(PARAMS, 'spectralDrive', { label: 'Enabled' });
+    spectralFolder.addBinding(PARAMS, 'energyAttack', {
+        ...PARAM_SCHEMA.energyAttack,
+        label: 'Attack (s)',
+    });
+    spectralFolder.addBinding(PARAMS, 'energyRelease', {
+        ...PARAM_SCHEMA.energyRelease,
+        label: 'Release (s)',
+    });
+    spectralFolder.addBinding(PARAMS, 'energyBandwidth', {
+        ...PARAM_SCHEMA.energyBandwidth,
+        label: 'Band (¢)',
+    });
+
+    // Effects chain: synth → filter → ping-pong delay → reverb
+    const effectsFolder = pane.addFolder({ title: 'Effects', expanded: false });
+    const onEffectsChange = () => callbacks.onEffectsChange?.();
+    effectsFolder
+        .addBinding(PARAMS, 'patternModulation', { label: 'Pattern Mod' })
+        .on('change', onEffectsChange);
+
+    const reverbFolder = effectsFolder.addFolder({ title: 'Reverb' });
+    reverbFolder
+        .addBinding(PARAMS, 'reverbDecay', { ...PARAM_SCHEMA.reverbDecay, label: 'Decay' })
+        .on('change', onEffectsChange);
+    reverbFolder
+        .addBinding(PARAMS, 'reverbWet', { ...PARAM_SCHEMA.reverbWet, label: 'Wet' })
+        .on('change', onEffectsChange);
+
+    const delayFolder = effectsFolder.addFolder({ title: 'Delay' });
+    delayFolder
+        .addBinding(PARAMS, 'delayTime', { ...PARAM_SCHEMA.delayTime, label: 'Time' })
+        .on('change', onEffectsChange);
+    delayFolder
+        .addBinding(PARAMS, 'delayFeedback', { ...PARAM_SCHEMA.delayFeedback, label: 'Feedback' })
+        .on('change', onEffectsChange);
+
+    const filterFolder = effectsFolder.addFolder({ title: 'Filter' });
+    filterFolder
+        .addBinding(PARAMS, 'filterType', { ...PARAM_SCHEMA.filterType, label: 'Type' })
+        .on('change', onEffectsChange);
+    filterFolder
+        .addBinding(PARAMS, 'filterFrequency', {
+            ...PARAM_SCHEMA.filterFrequency,
+            label: 'Frequency',
+        })
+        .on('change', onEffectsChange);
+    filterFolder
+        .addBinding(PARAMS, 'filterQ', { ...PARAM_SCHEMA.filterQ, label: 'Q' })
+        .on('change', onEffectsChange);
+
+    // Touch performance surface
+    const touchFolder = pane.addFolder({
+        title: 'Touch',
+        description: 'Drag on the plate to bow it: position sets the mix, speed the vibration',
+        expanded: false,
+    });
+    touchFolder
+        .addBinding(PARAMS, 'showPads', { label: 'Pads' })
+        .on('change', ({ value }) => callbacks.onShowPadsChange?.(value));
+    touchFolder.addBinding(PARAMS, 'bowGesture', { label: 'Bow' });
+
+    // MIDI input and controller assignments
+    const midiFolder = pane.addFolder({
+        title: 'MIDI',
+        description: 'Play patterns from a MIDI keyboard; turn Sound on first',
+        expanded: false,
+    });
+    midiFolder.addButton({ title: 'Connect', label: 'MIDI' }).on('click', () => {
+        callbacks.onMidiConnect?.();
+    });
+    controlRefs.midiStatus = midiFolder.addBinding(midiState, 'status', {
+        readonly: true,
+        label: 'Status',
+    });
+    const controllerNumber = { min: 0, max: 127, step: 1 };
+    midiFolder.addBinding(PARAMS, 'midiVibrationCC', {
+        ...controllerNumber,
+        label: 'Vibration CC',
+    });
+    midiFolder.addBinding(PARAMS, 'midiMixXCC', { ...controllerNumber, label: '1st Wave CC' });
+    midiFolder.addBinding(PARAMS, 'midiMixYCC', { ...controllerNumber, label: '2nd Wave CC' });
+
+    // Video recording and still snapshots
+    const captureFolder = pane.addFolder({ title: 'Capture', expanded: false });
+    const recordButton = captureFolder.addButton({ title: 'Record', label: 'Video' });
+    recordButton.on('click', async () => {
+        const recording = await callbacks.onRecordToggle?.();
+        recordButton.title = recording ? 'Stop' : 'Record';
+    });
+    captureFolder.addBinding(PARAMS, 'snapshotSize', {
+        options: {
+            '1024 × 1024': 1024,
+            '2048 × 2048': 2048,
+            '4096 × 4096': 4096,
+            '8192 × 8192': 8192,
+        },
+        label: 'Resolution',
+    });
+    captureFolder.addButton({ title: 'Save PNG', label: 'Snapshot' }).on('click', () => {
+        callbacks.onSnapshot?.(PARAMS.snapshotSize);
+    });
+    captureFolder.addBinding(PARAMS, 'svgResolution', {
+        min: 100,
+        max: 1000,
+        step: 50,
+        label: 'SVG Detail',
+    });
+    captureFolder.addBinding(PARAMS, 'svgOutline', { label: 'SVG Outline' });
+    captureFolder.addButton({ title: 'Save SVG', label: 'Nodal Lines' }).on('click', () => {
+        callbacks.onExportSvg?.();
+    });
+
     return pane;
 }
+
+// Setup the tuning system: scale quantization, root note, A4 reference pitch
+// and Scala scale files
+export function setupTuning(pane, { onTuningChange }) {
+    const tuningFolder = pane.addFolder({
+        title: 'Tuning',
+        description: 'Quantize pattern frequencies to a scale',
+        expanded: false,
+    });
+
+    const scaleBinding = tuningFolder
+        .addBinding(TUNING, 'scale', { options: SCALES, label: 'Scale' })
+        .on('change', () => onTuningChange?.());
+    tuningFolder
+        .addBinding(TUNING, 'root', {
+            options: Object.fromEntries(NOTE_NAMES.map((name, index) => [name, index])),
+            label: 'Root',
+        })
+        .on('change', () => onTuningChange?.());
+    tuningFolder
+        .addBinding(TUNING, 'referencePitch', { ...TUNING_SCHEMA.referencePitch, label: 'A4 Hz' })
+        .on('change', () => onTuningChange?.());
+
+    const scalaBinding = tuningFolder.addBinding(tuningState, 'scala', {
+        readonly: true,
+        label: 'Scala',
+    });
+    tuningFolder.addButton({ title: 'Load .scl...', label: '' }).on('click', async () => {
+        const file = await pickFile('.scl');
+        if (!file) return;
+        try {
+            const wasScala = TUNING.scale === 'scala';
+            const description = loadScala(await file.text());
+            tuningState.scala = description || file.name;
+            scalaBinding.refresh();
+            // Switching the list to the Scala scale fires onTuningChange by itself
+            scaleBinding.refresh();
+            if (wasScala) onTuningChange?.();
+        } catch (error) {
+            console.error('Error loading Scala file:', error);
+            alert(`Could not load ${file.name}: ${error.message}`);
+        }
+    });
+    scaleBinding.on('change', ({ value }) => {
+        if (value === 'scala' && !hasScalaScale()) {
+            tuningState.scala = 'Load a .scl file';
+            scalaBinding.refresh();
+        }
+    });
+
+    controlRefs.note = tuningFolder.addBinding(tuningState, 'note', {
+        readonly: true,
+        label: 'Note',
+    });
+
+    return tuningFolder;
+}
+
+// Setup the gallery: open the overlay of mode thumbnails and set its filters and sorting;
+// onChange is called whenever a filter or the sort order changes
+export function setupGallery(pane, { onOpen, onChange }) {
+    const galleryFolder = pane.addFolder({
+        title: 'Gallery',
+        description: 'Every X/Y mode for the current coefficients; click one to play it',
+        expanded: false,
+    });
+    galleryFolder.addButton({ title: 'Open', label: 'Gallery' }).on('click', () => onOpen());
+    galleryFolder.addBinding(GALLERY, 'filter', { options: GALLERY_FILTERS, label: 'Show' });
+    galleryFolder.addBinding(GALLERY, 'minFrequency', {
+        min: 20,
+        max: 2000,
+        step: 1,
+        label: 'Min Hz',
+    });
+    galleryFolder.addBinding(GALLERY, 'maxFrequency', {
+        min: 20,
+        max: 2000,
+        step: 1,
+        label: 'Max Hz',
+    });
+    galleryFolder.addBinding(GALLERY, 'sortBy', { options: GALLERY_SORTS, label: 'Sort' });
+    galleryFolder.on('change', () => onChange());
+
+    return galleryFolder;
+}
+
+// Setup the mode catalogue: look up modes near a target frequency,
+// or step through every mode sorted by frequency
+export function setupModeCatalogue(pane, { catalogue, findModes, formatMode, onSelect }) {
+    const state = {
+        frequency: 440,
+        index: 0,
+        mode: formatMode(catalogue[0]),
+    };
+    let nearestModes = [];
+
+    const catalogueFolder = pane.addFolder({
+        title: 'Mode Catalogue',
+        expanded: false,
+    });
+
+    catalogueFolder.addBinding(state, 'frequency', {
+        min: 20,
+        max: 2000,
+        step: 1,
+        label: 'Target Hz',
+    });
+    const nearestList = catalogueFolder.addBlade({
+        view: 'list',
+        label: 'Nearest',
+        options: [],
+        value: 0,
+    });
+    nearestList.on('change', ({ value }) => {
+        if (nearestModes[value]) onSelect(nearestModes[value]);
+    });
+
+    // Rank modes around the target frequency; selecting the first one tunes the plate
+    const updateNearest = () => {
+        nearestModes = findModes(state.frequency, 8);
+        nearestList.options = nearestModes.map((mode, index) => ({
+            text: `${formatMode(mode)} ${mode.cents >= 0 ? '+' : ''}${mode.cents.toFixed(0)}¢`,
+            value: index,
+        }));
+    };
+    updateNearest();
+    catalogueFolder.addButton({ title: 'Find', label: '' }).on('click', () => {
+        updateNearest();
+        nearestList.value = 0;
+        onSelect(nearestModes[0]);
+    });
+
+    catalogueFolder
+        .addBinding(state, 'index', {
+            min: 0,
+            max: catalogue.length - 1,
+            step: 1,
+            label: 'Browse',
+        })
+        .on('change', ({ value }) => {
+            state.mode = formatMode(catalogue[value]);
+            onSelect(catalogue[value]);
+        });
+    catalogueFolder.addBinding(state, 'mode', { readonly: true, label: 'Mode' });
+
+    return catalogueFolder;
+}
+
+// Setup the preset manager: save, load, rename and delete named presets,
+// and exchange them as JSON preset banks
+export function setupPresets(pane) {
+    const state = {
+        name: '',
+        selected: '',
+    };
+
+    const presetFolder = pane.addFolder({
+        title: 'Presets',
+        expanded: false,
+    });
+
+    const nameBinding = presetFolder.addBinding(state, 'name', { label: 'Name' });
+    const presetList = presetFolder.addBlade({
+        view: 'list',
+        label: 'Preset',
+        options: [],
+        value: '',
+    });
+    presetList.on('change', ({ value }) => {
+        state.selected = value;
+        // Prefill the name so the selected preset can be renamed or saved over
+        if (value) {
+            state.name = value;
+            nameBinding.refresh();
+        }
+    });
+
+    const updatePresetList = (selected = state.selected) => {
+        const names = presets.getPresetNames();
+        presetList.options = [
+            { text: '—', value: '' },
+            ...names.map((name) => ({ text: name, value: name })),
+        ];
+        presetList.value = names.includes(selected) ? selected : '';
+    };
+    updatePresetList();
+
+    presetFolder.addButton({ title: 'Save', label: '' }).on('click', () => {
+        const name = state.name.trim();
+        if (!name) {
+            alert('Enter a name for the preset');
+            return;
+        }
+        presets.savePreset(name, PARAMS);
+        updatePresetList(name);
+    });
+
+    presetFolder.addButton({ title: 'Load', label: '' }).on('click', () => {
+        const preset = presets.getPreset(state.selected);
+        if (!preset) return;
+        Object.assign(PARAMS, preset.params);
+        // Refreshing fires the change callbacks, so audio and particles follow
+        pane.refresh();
+    });
+
+    presetFolder.addButton({ title: 'Rename', label: '' }).on('click', () => {
+        const name = state.name.trim();
+        if (!state.selected || !name) return;
+        if (!presets.renamePreset(state.selected, name)) {
+            alert(`A preset named "${name}" already exists`);
+            return;
+        }
+        updatePresetList(name);
+    });
+
+    presetFolder.addButton({ title: 'Delete', label: '' }).on('click', () => {
+        if (!state.selected) return;
+        presets.deletePreset(state.selected);
+        updatePresetList('');
+    });
+
+    presetFolder.addButton({ title: 'Export...', label: '' }).on('click', () => {
+        downloadFile(presets.exportPresetBank(), 'cymatic-presets.json', 'application/json');
+    });
+
+    presetFolder.addButton({ title: 'Import...', label: '' }).on('click', async () => {
+        const file = await pickFile('.json,application/json');
+        if (!file) return;
+        try {
+            presets.importPresetBank(await file.text());
+            updatePresetList();
+        } catch (error) {
+            console.error('Error importing presets:', error);
+            alert(`Could not import presets: ${error.message}`);
+        }
+    });
+
+    return presetFolder;
+}
+
+// Setup the keymap editor: bind keys to the panel pattern, lay out a piano row,
+// and exchange keymaps as JSON files
+export function setupKeymap(pane, { findModeForNote, onSelect, onChange }) {
+    const state = {
+        key: '',
+        label: '',
+        live: false, // Bind to the panel pattern itself rather than its current values
+        selected: '',
+        row: keymap.QWERTY_PIANO_ROW,
+        lowestNote: 48, // C3
+    };
+
+    const keymapFolder = pane.addFolder({
+        title: 'Keymap',
+        description: 'Bind keyboard keys to patterns',
+        expanded: false,
+    });
+
+    const keyBinding = keymapFolder.addBinding(state, 'key', { label: 'Key' });
+    const labelBinding = keymapFolder.addBinding(state, 'label', { label: 'Label' });
+    const liveBinding = keymapFolder.addBinding(state, 'live', { label: 'Follow Panel' });
+    const bindingList = keymapFolder.addBlade({
+        view: 'list',
+        label: 'Bound',
+        options: [],
+        value: '',
+    });
+
+    const describeBinding = ({ key, label, pattern }) => {
+        const patternText = pattern
+            ? `${pattern.m}×${pattern.n} (${pattern.a}, ${pattern.b})`
+            : 'panel';
+        return `${key}${label ? ` ${label}` : ''}: ${patternText}`;
+    };
+
+    const updateBindingList = (selected = state.selected) => {
+        const bindings = keymap.getKeyBindings();
+        bindingList.options = [
+            { text: '—', value: '' },
+            ...bindings.map((binding) => ({ text: describeBinding(binding), value: binding.key })),
+        ];
+        state.selected = bindings.some(({ key }) => key === selected) ? selected : '';
+        bindingList.value = state.selected;
+    };
+    bindingList.on('change', ({ value }) => {
+        state.selected = value;
+        const binding = keymap.getKeyBinding(value);
+        if (!binding) return;
+        // Prefill the editor and show the pattern, so it can be tweaked and bound again
+        state.key = value;
+        state.label = binding.label;
+        state.live = binding.pattern === null;
+        keyBinding.refresh();
+        labelBinding.refresh();
+        liveBinding.refresh();
+        if (binding.pattern) onSelect?.(binding.pattern);
+    });
+    updateBindingList();
+
+    keymapFolder.addButton({ title: 'Bind', label: '' }).on('click', () => {
+        const key = keymap.normalizeKey(state.key);
+        if (!key) {
+            alert('Enter the key to bind, e.g. A or SPACE');
+            return;
+        }
+        const pattern = state.live
+            ? null
+            : {
+                  m: PARAMS.m,
+                  n: PARAMS.n,
+                  a: PARAMS.patternMixX,
+                  b: PARAMS.patternMixY,
+                  type: 'custom',
+              };
+        keymap.bindKey(key, state.label.trim(), pattern);
+        updateBindingList(key);
+        onChange?.();
+    });
+
+    keymapFolder.addButton({ title: 'Unbind', label: '' }).on('click', () => {
+        if (!state.selected) return;
+        keymap.unbindKey(state.selected);
+        updateBindingList('');
+        onChange?.();
+    });
+
+    // Piano-style row: keys in piano order, bound to consecutive semitones
+    keymapFolder.addBinding(state, 'row', { label: 'Piano Row' });
+    keymapFolder.addBinding(state, 'lowestNote', {
+        min: 24,
+        max: 84,
+        step: 1,
+        label: 'Lowest Note',
+    });
+    keymapFolder.addButton({ title: 'Lay Out Row', label: '' }).on('click', () => {
+        keymap.applyPianoLayout(state.row, state.lowestNote, findModeForNote);
+        updateBindingList();
+        onChange?.();
+    });
+
+    keymapFolder.addButton({ title: 'Reset', label: '' }).on('click', () => {
+        keymap.resetKeymap();
+        updateBindingList('');
+        onChange?.();
+    });
+
+    keymapFolder.addButton({ title: 'Export...', label: '' }).on('click', () => {
+        downloadFile(keymap.exportKeymap(), 'cymatic-keymap.json', 'application/json');
+    });
+
+    keymapFolder.addButton({ title: 'Import...', label: '' }).on('click', async () => {
+        const file = await pickFile('.json,application/json');
+        if (!file) return;
+        try {
+            keymap.importKeymap(await file.text());
+            updateBindingList('');
+            onChange?.();
+        } catch (error) {
+            console.error('Error importing keymap:', error);
+            alert(`Could not import keymap: ${error.message}`);
+        }
+    });
+
+    return keymapFolder;
+}
+
+// Setup the step sequencer: transport settings, a step editor, and an on-screen
+// grid of steps that highlights the one playing
+export function setupSequencer(pane, { getPatternOptions, onPlayingChange }) {
+    const editor = {
+        step: 1,
+        duration: steps[0].duration,
+        velocity: steps[0].velocity,
+    };
+
+    const sequencerFolder = pane.addFolder({
+        title: 'Sequencer',
+        expanded: false,
+    });
+
+    // On-screen step grid, shown while the folder is open
+    const grid = document.createElement('div');
+    grid.className = 'sequencer-grid';
+    grid.hidden = true;
+    const cells = steps.map((step, index) => {
+        const cell = document.createElement('button');
+        cell.type = 'button';
+        cell.className = 'sequencer-step';
+        cell.addEventListener('click', () => {
+            editor.step = index + 1;
+            stepBinding.refresh();
+        });
+        grid.appendChild(cell);
+        return cell;
+    });
+    document.body.appendChild(grid);
+    sequencerFolder.on('fold', ({ expanded }) => {
+        grid.hidden = !expanded;
+    });
+
+    const updateGrid = () => {
+        const options = getPatternOptions();
+        cells.forEach((cell, index) => {
+            const option = options.find(({ value }) => value === steps[index].pattern);
+            cell.textContent = steps[index].pattern && option ? option.text : '·';
+            cell.hidden = index >= SEQUENCER.length;
+            cell.classList.toggle('is-selected', index === editor.step - 1);
+        });
+    };
+
+    // Highlight the sounding step, only while the transport runs
+    setStepListener((current) => {
+        cells.forEach((cell, index) => cell.classList.toggle('is-current', index === current));
+    });
+
+    const playButton = sequencerFolder.addButton({ title: 'Play', label: 'Transport' });
+    const updatePlayButton = () => {
+        playButton.title = SEQUENCER.isPlaying ? 'Stop' : 'Play';
+    };
+    controlRefs.sequencerPlaying = { refresh: updatePlayButton };
+    playButton.on('click', async () => {
+        await onPlayingChange(!SEQUENCER.isPlaying);
+        updatePlayButton();
+    });
+    sequencerFolder
+        .addBinding(SEQUENCER, 'bpm', { min: 40, max: 240, step: 1, label: 'BPM' })
+        .on('change', updateTransport);
+    sequencerFolder
+        .addBinding(SEQUENCER, 'swing', { min: 0, max: 1, step: 0.05, label: 'Swing' })
+        .on('change', updateTransport);
+    const lengthBinding = sequencerFolder
+        .addBinding(SEQUENCER, 'length', { min: 1, max: MAX_STEPS, step: 1, label: 'Steps' })
+        .on('change', () => {
+            if (editor.step > SEQUENCER.length) {
+                editor.step = SEQUENCER.length;
+                stepBinding.refresh();
+            }
+            updateGrid();
+        });
+
+    // Step editor: pick a step, then set its pattern, duration and velocity
+    const stepBinding = sequencerFolder.addBinding(editor, 'step', {
+        min: 1,
+        max: MAX_STEPS,
+        step: 1,
+        label: 'Edit Step',
+    });
+    const patternList = sequencerFolder.addBlade({
+        view: 'list',
+        label: 'Pattern',
+        options: getPatternOptions(),
+        value: steps[0].pattern,
+    });
+    const durationBinding = sequencerFolder.addBinding(editor, 'duration', {
+        options: STEP_DURATIONS,
+        label: 'Duration',
+    });
+    const velocityBinding = sequencerFolder.addBinding(editor, 'velocity', {
+        min: 0.05,
+        max: 1,
+        step: 0.05,
+        label: 'Velocity',
+    });
+
+    stepBinding.on('change', ({ value }) => {
+        if (value > SEQUENCER.length) {
+            SEQUENCER.length = value;
+            lengthBinding.refresh();
+        }
+        const step = steps[value - 1];
+        // Presets may have changed since the list was built
+        patternList.options = getPatternOptions();
+        patternList.value = step.pattern;
+        editor.duration = step.duration;
+        editor.velocity = step.velocity;
+        durationBinding.refresh();
+        velocityBinding.refresh();
+        updateGrid();
+    });
+    patternList.on('change', ({ value }) => {
+        steps[editor.step - 1].pattern = value;
+        updateGrid();
+    });
+    durationBinding.on('change', ({ value }) => {
+        steps[editor.step - 1].duration = value;
+    });
+    velocityBinding.on('change', ({ value }) => {
+        steps[editor.step - 1].velocity = value;
+    });
+
+    updateGrid();
+    return sequencerFolder;
+}
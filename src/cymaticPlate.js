@@ -0,0 +1,405 @@
+import * as Tone from 'tone';
+import { Pane } from 'tweakpane';
+import { createEnvelopeFollower, rmsLevel, WAVEFORM_SIZE } from './analysis.js';
+import { PARAM_SCHEMA } from './paramSchema.js';
+import { setupPlateControls } from './plateControls.js';
+import { createPlateScene } from './plateScene.js';
+import { needsField } from './renderModes.js';
+import { createSimulationCore } from './simulationCore.js';
+import { calculateFrequencyFromPattern } from './tuning.js';
+import { sanitizeParam } from './urlState.js';
+import { createSynth, VOICE_ENVELOPE } from './voices.js';
+
+// <cymatic-plate>: a self-contained plate for embedding, any number to a page. Each
+// element owns its renderer, simulation, synth and optional panel, sized to the element
+// rather than the window, and drops them all in dispose() or when it leaves the page.
+// It shows the flat 2D view only; the 3D view, sequencer and inputs stay in the app.
+
+const DEFAULT_PARAMS = {
+    m: 3,
+    n: 2,
+    a: 1,
+    b: 1,
+    shape: 'square',
+    particles: 20000, // Fewer than the app, as a page may hold several plates
+    physicsModel: 'diffuse',
+    vibrationStrength: 0.1,
+    settleSpeed: 1,
+    jitter: 0.2,
+    renderMode: 'points',
+    palette: 'inferno',
+    background: '#111111',
+    nodalLines: false,
+    voice: 'fm',
+    volume: 0.5,
+};
+
+// Valid ranges and options, shared with the app's panel
+const PARAM_SPECS = {
+    m: PARAM_SCHEMA.m,
+    n: PARAM_SCHEMA.n,
+    a: PARAM_SCHEMA.patternMixX,
+    b: PARAM_SCHEMA.patternMixY,
+    shape: PARAM_SCHEMA.plateShape,
+    particles: PARAM_SCHEMA.particles,
+    physicsModel: PARAM_SCHEMA.physicsModel,
+    vibrationStrength: PARAM_SCHEMA.vibrationStrength,
+    settleSpeed: PARAM_SCHEMA.settleSpeed,
+    jitter: PARAM_SCHEMA.jitter,
+    renderMode: PARAM_SCHEMA.renderMode,
+    palette: PARAM_SCHEMA.palette,
+    background: PARAM_SCHEMA.backgroundColor,
+    voice: PARAM_SCHEMA.synthVoice,
+    volume: PARAM_SCHEMA.volume,
+};
+
+const PATTERN_KEYS = ['m', 'n', 'a', 'b'];
+
+// Attribute names are the parameter names in kebab case, e.g. render-mode="density"
+const ATTRIBUTE_PARAMS = Object.fromEntries(
+    Object.keys(DEFAULT_PARAMS).map((key) => [
+        key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`),
+        key,
+    ]),
+);
+
+// Level that drives the plate while playing before the browser lets audio start
+const SILENT_LEVEL = 0.2;
+const MAX_FRAME_TIME = 0.1; // Seconds; longer gaps, e.g. a background tab, are not caught up
+
+/**
+ * Turn an attribute or setParams() value into a valid parameter value, or undefined
+ */
+function sanitizePlateParam(key, value) {
+    // A boolean attribute: present, even as nodal-lines="", means on
+    if (key === 'nodalLines') return typeof value === 'boolean' ? value : value !== 'false';
+    const spec = PARAM_SPECS[key];
+    return spec ? sanitizeParam(spec, value) : undefined;
+}
+
+export class CymaticPlate extends HTMLElement {
+    static get observedAttributes() {
+        return [...Object.keys(ATTRIBUTE_PARAMS), 'controls'];
+    }
+
+    #params = { ...DEFAULT_PARAMS };
+    #isPlaying = false;
+    #view = null; // Plate scene, simulation and observers while connected
+    #audio = null; // { synth, analyser, level } once play() was first called
+    #note = null; // Frequency of the sounding note
+
+    /**
+     * Copy of the current parameters
+     */
+    get params() {
+        return { ...this.#params };
+    }
+
+    get playing() {
+        return this.#isPlaying;
+    }
+
+    connectedCallback() {
+        if (!this.#view) this.#createView();
+    }
+
+    disconnectedCallback() {
+        this.dispose();
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (name === 'controls') {
+            this.#setControlsVisible(value !== null);
+        } else {
+            // Removing an attribute restores the parameter's default
+            const key = ATTRIBUTE_PARAMS[name];
+            this.setParams({ [key]: value ?? DEFAULT_PARAMS[key] });
+        }
+    }
+
+    /**
+     * Update any of the parameters; invalid values are skipped with a warning.
+     * Numbers are clamped to the ranges of the app's panel.
+     */
+    setParams(params) {
+        const changed = new Set();
+        for (const [key, raw] of Object.entries(params)) {
+            if (!(key in DEFAULT_PARAMS)) {
+                console.warn(`Unknown cymatic-plate parameter: ${key}`);
+                continue;
+            }
+            const value = sanitizePlateParam(key, raw);
+            if (value === undefined) {
+                console.warn(`Invalid value for cymatic-plate parameter ${key}:`, raw);
+            } else if (value !== this.#params[key]) {
+                this.#params[key] = value;
+                changed.add(key);
+            }
+        }
+        if (changed.size === 0) return;
+
+        // The panel only shows the new values; they are applied once, here
+        this.#view?.controls?.refresh();
+        this.#applyParams(changed);
+    }
+
+    /**
+     * Sound the plate, optionally switching to `pattern` ({ m, n, a, b }) first.
+     * Browsers only start audio after a user gesture; until then the plate vibrates silently.
+     */
+    play(pattern) {
+        if (pattern) {
+            const values = Object.fromEntries(
+                PATTERN_KEYS.filter((key) => key in pattern).map((key) => [key, pattern[key]]),
+            );
+            this.setParams(values);
+        }
+        this.#setPlaying(true);
+    }
+
+    stop() {
+        this.#setPlaying(false);
+    }
+
+    /**
+     * Stop the sound and free the renderer, simulation, synth and panel. The element
+     * builds them again if it is attached to the page once more.
+     */
+    dispose() {
+        this.#setPlaying(false);
+        if (this.#audio) {
+            this.#audio.synth.dispose();
+            this.#audio.analyser.dispose();
+            this.#audio = null;
+        }
+
+        const view = this.#view;
+        if (!view) return;
+        this.#view = null;
+        cancelAnimationFrame(view.frame);
+        view.resizeObserver.disconnect();
+        view.visibilityObserver.disconnect();
+        view.controls?.pane.dispose();
+        view.controlsContainer.remove();
+        view.plate.dispose();
+    }
+
+    #createView() {
+        // Block layout and a square default, so a bare <cymatic-plate> is visible
+        this.style.display ||= 'block';
+        this.style.position ||= 'relative';
+        this.style.aspectRatio ||= '1';
+
+        const plate = createPlateScene();
+        plate.renderer.domElement.style.display = 'block';
+        this.appendChild(plate.renderer.domElement);
+
+        const { shape, particles: count, m, n, a, b } = this.#params;
+        const core = createSimulationCore({
+            shape,
+            seed: (Math.random() * 2 ** 32) | 0,
+            params: { ...this.#getPhysicsParams(), modes: [{ m, n, a, b, weight: 1 }] },
+        });
+
+        const controlsContainer = document.createElement('div');
+        controlsContainer.style.cssText =
+            'position: absolute; top: 8px; right: 8px; width: 240px; max-width: calc(100% - 16px)';
+
+        const view = {
+            plate,
+            core,
+            size: 0, // Side of the square viewport in CSS pixels
+            isVisible: true,
+            lastTime: null,
+            frame: 0,
+            controls: null,
+            controlsContainer,
+            resizeObserver: new ResizeObserver(() => this.#resize()),
+            visibilityObserver: new IntersectionObserver(([entry]) => {
+                view.isVisible = entry.isIntersecting;
+            }),
+        };
+        this.#view = view;
+
+        this.#setParticles(core.resize(count));
+        view.resizeObserver.observe(this);
+        view.visibilityObserver.observe(this);
+        this.appendChild(controlsContainer);
+        this.#setControlsVisible(this.hasAttribute('controls'));
+        this.#resize();
+
+        const animate = (time) => {
+            view.frame = requestAnimationFrame(animate);
+            this.#renderFrame(time / 1000);
+        };
+        view.frame = requestAnimationFrame(animate);
+    }
+
+    #getPhysicsParams() {
+        const { physicsModel, vibrationStrength, settleSpeed, jitter } = this.#params;
+        return { physicsModel, vibrationStrength, settleSpeed, jitter };
+    }
+
+    #applyParams(changed) {
+        const params = this.#params;
+        const isPatternChange = PATTERN_KEYS.some((key) => changed.has(key));
+        const view = this.#view;
+
+        if (view) {
+            const { m, n, a, b } = params;
+            view.core.setParams({
+                ...this.#getPhysicsParams(),
+                modes: [{ m, n, a, b, weight: 1 }],
+            });
+            if (changed.has('shape')) view.core.setShape(params.shape);
+            if (changed.has('particles')) this.#setParticles(view.core.resize(params.particles));
+        }
+
+        if (this.#audio) {
+            if (changed.has('voice')) {
+                this.#audio.synth.dispose();
+                this.#audio.synth = this.#createSynth();
+                this.#note = null;
+            }
+            if (changed.has('volume')) {
+                this.#audio.synth.volume.value = Tone.gainToDb(params.volume);
+            }
+            if (this.#isPlaying && (isPatternChange || changed.has('voice'))) this.#sound();
+        }
+
+        if (isPatternChange) {
+            this.dispatchEvent(
+                new CustomEvent('patternchange', {
+                    detail: {
+                        m: params.m,
+                        n: params.n,
+                        a: params.a,
+                        b: params.b,
+                        frequency: calculateFrequencyFromPattern(params),
+                    },
+                }),
+            );
+        }
+    }
+
+    #setControlsVisible(visible) {
+        const view = this.#view;
+        if (!view) return;
+        if (visible && !view.controls) {
+            const pane = new Pane({ container: view.controlsContainer, expanded: false });
+            view.controls = {
+                pane,
+                ...setupPlateControls(pane, this.#params, {
+                    // The bindings write to the parameters themselves, within their ranges
+                    onChange: (key) => this.#applyParams(new Set([key])),
+                    onPlayingChange: (playing) => this.#setPlaying(playing),
+                }),
+            };
+            view.controls.setPlaying(this.#isPlaying);
+        } else if (!visible && view.controls) {
+            view.controls.pane.dispose();
+            view.controls = null;
+        }
+    }
+
+    #setPlaying(playing) {
+        if (playing === this.#isPlaying) return;
+        this.#isPlaying = playing;
+        this.#view?.controls?.setPlaying(playing);
+
+        if (playing) {
+            if (!this.#audio) {
+                const analyser = new Tone.Analyser('waveform', WAVEFORM_SIZE);
+                this.#audio = { analyser, synth: null, level: createEnvelopeFollower() };
+                this.#audio.synth = this.#createSynth();
+            }
+            // Not awaited: the note is scheduled now and sounds once the context runs
+            if (Tone.getContext().state !== 'running') {
+                Tone.start().catch((error) => console.warn('Audio could not start:', error));
+            }
+            this.#sound();
+        } else if (this.#audio) {
+            this.#audio.synth.releaseAll();
+            this.#note = null;
+        }
+    }
+
+    #createSynth() {
+        const synth = createSynth(this.#params.voice, VOICE_ENVELOPE);
+        synth.volume.value = Tone.gainToDb(this.#params.volume);
+        synth.toDestination();
+        synth.connect(this.#audio.analyser);
+        return synth;
+    }
+
+    /**
+     * Play the pitch of the current pattern, replacing the note that was sounding
+     */
+    #sound() {
+        const { synth } = this.#audio;
+        const frequency = calculateFrequencyFromPattern(this.#params);
+        if (this.#note !== null) synth.triggerRelease(this.#note);
+        synth.triggerAttack(frequency);
+        this.#note = frequency;
+    }
+
+    /**
+     * Smoothed level that drives the plate
+     */
+    #getLevel(time) {
+        if (!this.#audio) return 0;
+        let level = 0;
+        if (Tone.getContext().state === 'running') {
+            level = rmsLevel(this.#audio.analyser.getValue());
+        } else if (this.#isPlaying) {
+            level = SILENT_LEVEL;
+        }
+        return this.#audio.level.process(level, time);
+    }
+
+    #setParticles({ positions, velocities }) {
+        this.#view.plate.setParticles(positions, velocities, this.#getPointSize());
+    }
+
+    /**
+     * Point size in drawing buffer pixels, scaled with the plate like the app's,
+     * but never below a pixel so small plates still show their particles
+     */
+    #getPointSize() {
+        return Math.max(1, (this.#view.size * window.devicePixelRatio) / 1000);
+    }
+
+    #resize() {
+        const view = this.#view;
+        const width = this.clientWidth;
+        const height = this.clientHeight;
+        if (!view || width === 0 || height === 0) return;
+
+        view.size = Math.min(width, height);
+        view.plate.renderer.setPixelRatio(window.devicePixelRatio);
+        view.plate.resize(width, height, view.size);
+        view.plate.setPointSize(this.#getPointSize());
+    }
+
+    #renderFrame(time) {
+        const view = this.#view;
+        const dt = view.lastTime === null ? 0 : Math.min(time - view.lastTime, MAX_FRAME_TIME);
+        view.lastTime = time;
+        // Plates scrolled out of view pause rather than spend the frame on nothing
+        if (!view.isVisible || view.size === 0) return;
+
+        if (view.core.step(dt, this.#getLevel(time)) > 0) view.plate.updateParticles();
+
+        const { shape, m, n, a, b, renderMode, palette, background, nodalLines } = this.#params;
+        const settings = { mode: renderMode, palette, background, trailFade: 0.9, nodalLines };
+        if (needsField(settings)) view.plate.updateField(shape, [{ m, n, a, b, weight: 1 }]);
+        view.plate.render(settings);
+    }
+}
+
+/**
+ * Register the element under `name`, unless something already is
+ */
+export function defineCymaticPlate(name = 'cymatic-plate') {
+    if (!customElements.get(name)) customElements.define(name, CymaticPlate);
+}
@@ -0,0 +1,31 @@
+// Helpers for saving and opening local files from the browser
+
+/**
+ * Save `contents` (a string or Blob) as a download named `filename`
+ */
+export function downloadFile(contents, filename, type = 'application/octet-stream') {
+    const blob = contents instanceof Blob ? contents : new Blob([contents], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Open a file picker and resolve with the chosen File, or null if nothing was picked
+ */
+export function pickFile(accept) {
+    return new Promise((resolve) => {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = accept;
+        fileInput.addEventListener('change', () => resolve(fileInput.files[0] ?? null));
+        fileInput.addEventListener('cancel', () => resolve(null));
+        fileInput.click();
+    });
+}
@@ -0,0 +1,206 @@
+import { isOnPlate, plateField } from './plates.js';
+import { calculateFrequencyFromPattern } from './tuning.js';
+
+// Overlay of every (m, n) pattern for the current wave coefficients, drawn as small
+// analytic previews of the nodal lines. Thumbnails are drawn a few at a time on
+// animation frames, so opening the gallery never stalls the simulation.
+
+export const GALLERY_FILTERS = {
+    All: 'all',
+    'Symmetric (m = n)': 'symmetric',
+    'Asymmetric (m ≠ n)': 'asymmetric',
+};
+
+export const GALLERY_SORTS = {
+    'Mode Numbers': 'mode',
+    Frequency: 'frequency',
+};
+
+// Filter and sort settings, edited in the panel's Gallery folder
+export const GALLERY = {
+    filter: 'all',
+    minFrequency: 20, // Hz, compared with the pitch the synth plays for each mode
+    maxFrequency: 2000,
+    sortBy: 'mode',
+};
+
+const THUMBNAIL_SIZE = 64; // Pixels per side of each preview
+const LINE_SHARPNESS = 12; // How quickly the brightness falls off away from a nodal line
+const FRAME_BUDGET = 8; // ms of thumbnail drawing per animation frame
+
+/**
+ * Draw the nodal pattern of a mode: bright where the plate is still, as sand would
+ * gather there, and transparent off the plate
+ */
+function drawThumbnail(canvas, shape, { m, n, a, b }) {
+    const size = canvas.width;
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(size, size);
+    const magnitudes = new Float32Array(size * size).fill(-1);
+
+    let peak = 0;
+    for (let py = 0; py < size; py++) {
+        for (let px = 0; px < size; px++) {
+            const x = ((px + 0.5) / size) * 2 - 1;
+            const y = 1 - ((py + 0.5) / size) * 2;
+            if (!isOnPlate(shape, x, y)) continue;
+            const magnitude = Math.abs(plateField(shape, x, y, m, n, a, b));
+            magnitudes[py * size + px] = magnitude;
+            peak = Math.max(peak, magnitude);
+        }
+    }
+
+    for (let i = 0; i < magnitudes.length; i++) {
+        if (magnitudes[i] < 0) continue; // Off the plate stays transparent
+        const brightness = peak > 0 ? Math.exp((-LINE_SHARPNESS * magnitudes[i]) / peak) : 0;
+        const level = 24 + 231 * brightness;
+        image.data.set([level, level, level, 255], i * 4);
+    }
+    context.putImageData(image, 0, 0);
+}
+
+/**
+ * Whether a mode passes the gallery filters
+ */
+function matchesFilters(mode) {
+    if (GALLERY.filter === 'symmetric' && mode.m !== mode.n) return false;
+    if (GALLERY.filter === 'asymmetric' && mode.m === mode.n) return false;
+    return mode.frequency >= GALLERY.minFrequency && mode.frequency <= GALLERY.maxFrequency;
+}
+
+/**
+ * Create the gallery overlay for mode numbers 1 to `maxMode`.
+ * Clicking a thumbnail calls `onSelect({ m, n, a, b })`; the overlay stays open for browsing.
+ * Returns { update({ shape, a, b, m, n }), refresh(), setOpen(open) }, where update() takes
+ * the plate shape, the coefficients to preview and the mode to highlight.
+ */
+export function createModeGallery({ maxMode, onSelect }) {
+    const overlay = document.createElement('div');
+    overlay.className = 'mode-gallery';
+    overlay.hidden = true;
+    overlay.innerHTML = `
+        <div class="mode-gallery-header">
+            <span class="mode-gallery-title"></span>
+            <button type="button" class="mode-gallery-close" aria-label="Close">×</button>
+        </div>
+        <div class="mode-gallery-grid"></div>`;
+    document.body.appendChild(overlay);
+
+    const title = overlay.querySelector('.mode-gallery-title');
+    const grid = overlay.querySelector('.mode-gallery-grid');
+    const close = () => {
+        overlay.hidden = true;
+    };
+    overlay.querySelector('.mode-gallery-close').addEventListener('click', close);
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') close();
+    });
+
+    const cells = new Map(); // 'm,n' -> { cell, canvas, label, drawnKey, mode }
+    let view = null; // Latest { shape, a, b, m, n } passed to update()
+    let isDirty = true; // The grid does not reflect the latest view or filters yet
+    let pending = []; // Cells still to draw, in grid order
+    let frame = 0;
+
+    const getCell = (m, n) => {
+        const key = `${m},${n}`;
+        if (!cells.has(key)) {
+            const cell = document.createElement('button');
+            cell.type = 'button';
+            cell.className = 'mode-gallery-cell';
+            cell.innerHTML = '<canvas></canvas><span class="mode-gallery-label"></span>';
+            const canvas = cell.querySelector('canvas');
+            canvas.width = THUMBNAIL_SIZE;
+            canvas.height = THUMBNAIL_SIZE;
+            cells.set(key, {
+                cell,
+                canvas,
+                label: cell.querySelector('.mode-gallery-label'),
+                drawnKey: null,
+                mode: null,
+            });
+            cell.addEventListener('click', () => {
+                const { mode } = cells.get(key);
+                onSelect({ m: mode.m, n: mode.n, a: mode.a, b: mode.b });
+            });
+        }
+        return cells.get(key);
+    };
+
+    const drawPending = () => {
+        frame = 0;
+        const start = performance.now();
+        while (pending.length > 0 && performance.now() - start < FRAME_BUDGET) {
+            const entry = pending.shift();
+            drawThumbnail(entry.canvas, view.shape, entry.mode);
+            entry.drawnKey = `${view.shape},${view.a},${view.b}`;
+        }
+        if (pending.length > 0) frame = requestAnimationFrame(drawPending);
+    };
+
+    const highlight = () => {
+        cells.forEach(({ cell, mode }) => {
+            cell.classList.toggle('is-current', mode?.m === view.m && mode?.n === view.n);
+        });
+    };
+
+    const rebuild = () => {
+        isDirty = false;
+        const { shape, a, b } = view;
+        const drawKey = `${shape},${a},${b}`;
+
+        const modes = [];
+        for (let m = 1; m <= maxMode; m++) {
+            for (let n = 1; n <= maxMode; n++) {
+                // Equal mode numbers with opposite coefficients cancel out to a flat plate
+                if (m === n && a === -b) continue;
+                const mode = { m, n, a, b };
+                mode.frequency = calculateFrequencyFromPattern(mode);
+                if (matchesFilters(mode)) modes.push(mode);
+            }
+        }
+        if (GALLERY.sortBy === 'frequency') {
+            modes.sort((first, second) => first.frequency - second.frequency);
+        }
+
+        const entries = modes.map((mode) => {
+            const entry = getCell(mode.m, mode.n);
+            entry.mode = mode;
+            entry.label.textContent = `${mode.m}×${mode.n} · ${mode.frequency.toFixed(0)} Hz`;
+            return entry;
+        });
+        grid.replaceChildren(...entries.map(({ cell }) => cell));
+        title.textContent = `${entries.length} modes with a = ${a}, b = ${b}`;
+        highlight();
+
+        pending = entries.filter((entry) => entry.drawnKey !== drawKey);
+        if (pending.length > 0 && !frame) frame = requestAnimationFrame(drawPending);
+    };
+
+    return {
+        update(nextView) {
+            const needsRebuild =
+                isDirty ||
+                !view ||
+                nextView.shape !== view.shape ||
+                nextView.a !== view.a ||
+                nextView.b !== view.b;
+            view = { ...nextView };
+            isDirty = needsRebuild;
+            if (overlay.hidden) return;
+            if (isDirty) rebuild();
+            else highlight();
+        },
+        /**
+         * Redo the filtering and sorting after the GALLERY settings or the tuning changed
+         */
+        refresh() {
+            isDirty = true;
+            if (!overlay.hidden && view) rebuild();
+        },
+        setOpen(open) {
+            overlay.hidden = !open;
+            if (open && view && isDirty) rebuild();
+        },
+    };
+}
@@ -0,0 +1,166 @@
+import * as Tone from 'tone';
+import { createEnvelopeFollower, rmsLevel, WAVEFORM_SIZE } from './analysis.js';
+
+// External sound sources (microphone or audio file) that drive the plate
+// instead of the built-in synth
+let source = 'synth'; // 'synth' | 'microphone' | 'file'
+let microphone = null; // Tone.UserMedia while the microphone is open
+let player = null; // Tone.Player for the loaded audio file
+let fileUrl = null; // Object URL of the loaded file
+let fftAnalyzer = null; // Spectrum for dominant frequency detection
+let waveformAnalyzer = null; // Waveform for signal level
+const levelFollower = createEnvelopeFollower(); // Smoothed RMS level of the input
+
+const FFT_SIZE = 2048;
+const MIN_DECIBELS = -80; // Spectrum peaks below this are treated as silence
+
+function ensureAnalyzers() {
+    if (!fftAnalyzer) {
+        fftAnalyzer = new Tone.Analyser('fft', FFT_SIZE);
+        waveformAnalyzer = new Tone.Analyser('waveform', WAVEFORM_SIZE);
+    }
+}
+
+function closeMicrophone() {
+    if (microphone) {
+        microphone.close();
+        microphone.dispose();
+        microphone = null;
+    }
+}
+
+function stopPlayer() {
+    if (player && player.state === 'started') {
+        player.stop();
+    }
+}
+
+async function startPlayer() {
+    if (!player || !player.loaded) return;
+    if (Tone.context.state !== 'running') {
+        await Tone.start();
+    }
+    if (player.state !== 'started') {
+        player.start();
+    }
+}
+
+/**
+ * Switch the sound source that drives the plate
+ */
+export async function setInputSource(name) {
+    source = name;
+    closeMicrophone();
+    stopPlayer();
+
+    try {
+        if (name === 'microphone') {
+            if (Tone.context.state !== 'running') {
+                await Tone.start();
+            }
+            ensureAnalyzers();
+            microphone = new Tone.UserMedia();
+            await microphone.open();
+            // Analyse only - routing the microphone to the speakers would feed back
+            microphone.connect(fftAnalyzer);
+            microphone.connect(waveformAnalyzer);
+        } else if (name === 'file') {
+            await startPlayer();
+        }
+    } catch (error) {
+        console.error('Error opening input source:', error);
+        closeMicrophone();
+    }
+}
+
+/**
+ * Load a local audio file (WAV/MP3/OGG) and play it on a loop
+ */
+export async function loadAudioFile(file, volume) {
+    try {
+        ensureAnalyzers();
+        if (player) player.dispose();
+        if (fileUrl) URL.revokeObjectURL(fileUrl);
+
+        fileUrl = URL.createObjectURL(file);
+        player = new Tone.Player({ loop: true });
+        await player.load(fileUrl);
+        player.volume.value = Tone.gainToDb(volume);
+        player.connect(fftAnalyzer);
+        player.connect(waveformAnalyzer);
+        player.toDestination();
+
+        if (source === 'file') {
+            await startPlayer();
+        }
+    } catch (error) {
+        console.error('Error loading audio file:', error);
+        // Disconnect the half set up player from the analysers and the output
+        player?.dispose();
+        player = null;
+    }
+}
+
+export function isExternalSource() {
+    return source !== 'synth';
+}
+
+export function isInputActive() {
+    if (source === 'microphone') return microphone !== null && microphone.state === 'started';
+    if (source === 'file') return player !== null && player.state === 'started';
+    return false;
+}
+
+/**
+ * RMS level of the input, smoothed by an envelope follower so it does not flicker
+ */
+export function getInputLevel() {
+    const level = waveformAnalyzer && isInputActive() ? rmsLevel(waveformAnalyzer.getValue()) : 0;
+    return levelFollower.process(level, performance.now() / 1000);
+}
+
+/**
+ * Spectrum of the input in decibels per bin, with the bin spacing in Hz,
+ * or null when the input is not running
+ */
+export function getSpectrum() {
+    if (!fftAnalyzer || !isInputActive()) return null;
+    return { spectrum: fftAnalyzer.getValue(), binWidth: getBinWidth() };
+}
+
+/**
+ * Spacing of the spectrum bins in Hz; the analyser's FFT is twice the number of bins it reports
+ */
+function getBinWidth() {
+    return Tone.context.sampleRate / (FFT_SIZE * 2);
+}
+
+/**
+ * Estimate the strongest frequency in the input spectrum, in Hz.
+ * Returns null when the input is silent.
+ */
+export function getDominantFrequency() {
+    if (!fftAnalyzer || !isInputActive()) return null;
+
+    const spectrum = fftAnalyzer.getValue();
+    let peakIndex = 1; // Skip the DC bin
+    for (let i = 2; i < spectrum.length - 1; i++) {
+        if (spectrum[i] > spectrum[peakIndex]) peakIndex = i;
+    }
+    if (spectrum[peakIndex] < MIN_DECIBELS) return null;
+
+    // Parabolic interpolation between neighbouring bins for sub-bin accuracy
+    const left = spectrum[peakIndex - 1];
+    const center = spectrum[peakIndex];
+    const right = spectrum[peakIndex + 1];
+    const denominator = left - 2 * center + right;
+    const offset = denominator !== 0 ? (0.5 * (left - right)) / denominator : 0;
+
+    return (peakIndex + offset) * getBinWidth();
+}
+
+export function updateVolume(volume) {
+    if (player) {
+        player.volume.value = Tone.gainToDb(volume);
+    }
+}
@@ -0,0 +1,205 @@
+import { PARAM_SCHEMA } from './paramSchema.js';
+import {
+    calculateFrequencyFromPattern,
+    midiNoteToFrequency,
+    NOTE_NAMES,
+    quantizeFrequency,
+} from './tuning.js';
+import { sanitizeParam } from './urlState.js';
+
+// Keyboard keys bound to Chladni patterns, persisted to localStorage
+// and exchangeable as JSON files. Keys are named by event.key in upper case,
+// so bindings follow the characters of the user's own layout.
+
+export const KEYMAP_SCHEMA_VERSION = 1;
+
+const STORAGE_KEY = 'cymatic.keymap';
+
+// Each binding has a display label and a pattern; a null pattern plays the panel pattern.
+// Piano keys also have the MIDI note they play, whose pitch need not be their pattern's.
+const DEFAULT_KEYMAP = {
+    A: { label: 'Flower', pattern: { m: 1, n: 9, a: 2, b: -2, type: 'flower' } }, // Flower/clover pattern
+    S: { label: 'Crosses', pattern: { m: 5, n: 8, a: -1, b: -2, type: 'complex' } }, // Complex crosses
+    D: { label: 'Grid', pattern: { m: 1, n: 5, a: 1, b: -1, type: 'grid' } }, // Simple grid
+    F: { label: 'Diamond', pattern: { m: 8, n: 4, a: 1, b: 1, type: 'diamond' } }, // Diamond grid
+    G: { label: 'Squares', pattern: { m: 5, n: 5, a: 1, b: -1, type: 'concentric' } }, // Concentric squares
+    // Additional keys with variations
+    Q: { label: 'Simple', pattern: { m: 7, n: 7, a: 1, b: 1, type: 'simple' } },
+    W: { label: 'Complex', pattern: { m: 11, n: 2, a: -1, b: 2, type: 'complex' } },
+    E: { label: 'Grid 2', pattern: { m: 4, n: 10, a: -2, b: 1, type: 'grid' } },
+    R: { label: 'Diamond 2', pattern: { m: 4, n: 9, a: -2, b: -1, type: 'diamond' } },
+    T: { label: 'Squares 2', pattern: { m: 4, n: 11, a: 1, b: -2, type: 'concentric' } },
+    // Special key for current pattern
+    SPACE: { label: 'Panel', pattern: null },
+};
+
+// Piano-style row on a QWERTY keyboard: two octaves from Z to U, then I for the top C
+export const QWERTY_PIANO_ROW = 'ZSXDCVGBHNJMQ2W3ER5T6Y7UI';
+
+let keymap = null; // Lazily loaded map of key -> { label, pattern, note? }
+
+/**
+ * Key name as stored in the keymap: event.key in upper case, with ' ' as SPACE
+ */
+export function normalizeKey(key) {
+    const trimmed = key.trim();
+    if (key === ' ' || trimmed.toUpperCase() === 'SPACE') return 'SPACE';
+    return trimmed.toUpperCase();
+}
+
+function cloneKeymap(source) {
+    return Object.fromEntries(
+        Object.entries(source).map(([key, binding]) => [
+            key,
+            { ...binding, pattern: binding.pattern && { ...binding.pattern } },
+        ]),
+    );
+}
+
+/**
+ * Keep only the mode numbers and coefficients of a pattern, clamped to the panel's
+ * ranges, or null for the panel pattern. Returns undefined for an invalid pattern.
+ */
+function pickPattern(pattern) {
+    if (pattern === null) return null;
+    const { m, n, a, b } = pattern ?? {};
+    if (![m, n, a, b].every(Number.isFinite)) return undefined;
+    return {
+        m: sanitizeParam(PARAM_SCHEMA.m, m),
+        n: sanitizeParam(PARAM_SCHEMA.n, n),
+        a: sanitizeParam(PARAM_SCHEMA.patternMixX, a),
+        b: sanitizeParam(PARAM_SCHEMA.patternMixY, b),
+        type: typeof pattern.type === 'string' ? pattern.type : 'custom',
+    };
+}
+
+function getKeymap() {
+    if (!keymap) {
+        keymap = cloneKeymap(DEFAULT_KEYMAP);
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (stored) keymap = parseKeymap(stored);
+        } catch (error) {
+            console.warn('Could not read keymap from storage:', error);
+        }
+    }
+    return keymap;
+}
+
+function persistKeymap() {
+    try {
+        localStorage.setItem(STORAGE_KEY, exportKeymap());
+    } catch (error) {
+        console.warn('Could not save keymap to storage:', error);
+    }
+}
+
+/**
+ * Parse and validate a keymap file, throwing an Error describing what is wrong
+ */
+function parseKeymap(text) {
+    const file = JSON.parse(text);
+    if (!file || typeof file !== 'object' || !file.keys || typeof file.keys !== 'object') {
+        throw new Error('Not a Cymatic keymap');
+    }
+    if (!Number.isInteger(file.version) || file.version > KEYMAP_SCHEMA_VERSION) {
+        throw new Error(`Unsupported keymap version: ${file.version}`);
+    }
+
+    const parsed = {};
+    for (const [key, binding] of Object.entries(file.keys)) {
+        const pattern = pickPattern(binding?.pattern);
+        if (!key.trim() || pattern === undefined) continue;
+        const label = typeof binding.label === 'string' ? binding.label : '';
+        parsed[normalizeKey(key)] = { label, pattern };
+        if (Number.isInteger(binding.note) && binding.note >= 0 && binding.note <= 127) {
+            parsed[normalizeKey(key)].note = binding.note;
+        }
+    }
+    return parsed;
+}
+
+/**
+ * Binding of a key, or null if the key is not bound
+ */
+export function getKeyBinding(key) {
+    return getKeymap()[key] ?? null;
+}
+
+/**
+ * Every bound key with its binding, in the order they were bound
+ */
+export function getKeyBindings() {
+    return Object.entries(getKeymap()).map(([key, binding]) => ({ key, ...binding }));
+}
+
+/**
+ * Pitch a key sounds with `pattern`, the pattern it plays: a piano key plays its note
+ * in the current tuning, like a MIDI note, and any other key the pattern's own pitch
+ */
+export function getBindingFrequency(binding, pattern) {
+    return binding.note === undefined
+        ? calculateFrequencyFromPattern(pattern)
+        : quantizeFrequency(midiNoteToFrequency(binding.note));
+}
+
+/**
+ * Bind `key` to `pattern`, replacing any existing binding.
+ * Pass a null pattern to make the key play whatever the panel shows.
+ */
+export function bindKey(key, label, pattern) {
+    getKeymap()[normalizeKey(key)] = { label, pattern: pickPattern(pattern) ?? null };
+    persistKeymap();
+}
+
+export function unbindKey(key) {
+    delete getKeymap()[key];
+    persistKeymap();
+}
+
+/**
+ * Restore the original ten pattern keys and the space bar
+ */
+export function resetKeymap() {
+    keymap = cloneKeymap(DEFAULT_KEYMAP);
+    persistKeymap();
+}
+
+/**
+ * Bind a row of keys in piano order (white and black keys interleaved, as on
+ * QWERTY_PIANO_ROW) to consecutive semitones starting at MIDI note `lowestNote`.
+ * `findMode(note)` picks the pattern shown for each note; keys are labelled with the note
+ * name and play the note's own pitch.
+ */
+export function applyPianoLayout(rowKeys, lowestNote, findMode) {
+    const keys = [...rowKeys].filter((key) => key.trim() !== '');
+    keys.forEach((key, index) => {
+        const note = lowestNote + index;
+        const mode = findMode(note);
+        if (!mode) return;
+        getKeymap()[normalizeKey(key)] = {
+            label: `${NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`,
+            pattern: { m: mode.m, n: mode.n, a: mode.a, b: mode.b, type: 'note' },
+            note,
+        };
+    });
+    persistKeymap();
+    return keys.length;
+}
+
+/**
+ * Serialize the keymap as versioned JSON
+ */
+export function exportKeymap() {
+    return JSON.stringify({ version: KEYMAP_SCHEMA_VERSION, keys: getKeymap() }, null, 2);
+}
+
+/**
+ * Replace the keymap with a JSON keymap file.
+ * Returns the number of bound keys and throws an Error if the file is invalid.
+ */
+export function importKeymap(text) {
+    keymap = parseKeymap(text);
+    persistKeymap();
+    return Object.keys(keymap).length;
+}
@@ -0,0 +1,8 @@
+// Entry of the library build: importing it registers <cymatic-plate>, and the
+// element class and the headless simulation are exported for use from code.
+import { defineCymaticPlate } from './cymaticPlate.js';
+
+export { CymaticPlate, defineCymaticPlate } from './cymaticPlate.js';
+export { createSimulationCore, FRAME_TIME, SNAPSHOT_VERSION } from './simulationCore.js';
+
+defineCymaticPlate();
@@ -0,0 +1,78 @@
+// Web MIDI input: turns note and control change messages from every connected
+// controller into handler calls. The MIDIAccess object is passed in, so this
+// module can be driven by a mock in place of navigator.requestMIDIAccess().
+
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xb0;
+
+export const MOD_WHEEL = 1; // Controller number of the modulation wheel
+
+/**
+ * Decode one MIDI message and call the matching handler:
+ * - onNoteOn(note, velocity) with velocity in (0, 1]
+ * - onNoteOff(note)
+ * - onControlChange(controller, value) with value in [0, 1]
+ */
+export function handleMidiMessage(data, handlers) {
+    const [status, data1, data2] = data;
+    const command = status & 0xf0; // Ignore the channel
+
+    if (command === NOTE_ON && data2 > 0) {
+        handlers.onNoteOn?.(data1, data2 / 127);
+    } else if (command === NOTE_OFF || command === NOTE_ON) {
+        // Note on with zero velocity is a note off by convention
+        handlers.onNoteOff?.(data1);
+    } else if (command === CONTROL_CHANGE) {
+        handlers.onControlChange?.(data1, data2 / 127);
+    }
+}
+
+/**
+ * Listen to every input of `access`, including controllers plugged in later.
+ * Returns an object with disconnect() to stop listening.
+ */
+export function createMidiInput(access, handlers) {
+    const onMessage = (event) => handleMidiMessage(event.data, handlers);
+    const listenedInputs = new Set();
+
+    const listenToInputs = () => {
+        access.inputs.forEach((input) => {
+            if (!listenedInputs.has(input)) {
+                input.addEventListener('midimessage', onMessage);
+                listenedInputs.add(input);
+            }
+        });
+        const connected = [...listenedInputs].filter((input) => input.state !== 'disconnected');
+        handlers.onInputsChange?.(connected.map((input) => input.name));
+    };
+
+    listenToInputs();
+    access.addEventListener('statechange', listenToInputs);
+
+    return {
+        disconnect() {
+            access.removeEventListener('statechange', listenToInputs);
+            listenedInputs.forEach((input) => input.removeEventListener('midimessage', onMessage));
+            listenedInputs.clear();
+        },
+    };
+}
+
+/**
+ * Request MIDI access from the browser and start listening.
+ * Resolves with the input from createMidiInput(), or null if Web MIDI is unavailable.
+ */
+export async function connectMidi(handlers) {
+    if (!navigator.requestMIDIAccess) {
+        console.warn('Web MIDI is not supported in this browser');
+        return null;
+    }
+    try {
+        const access = await navigator.requestMIDIAccess();
+        return createMidiInput(access, handlers);
+    } catch (error) {
+        console.error('Error requesting MIDI access:', error);
+        return null;
+    }
+}
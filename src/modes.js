@@ -0,0 +1,72 @@
+import { PARAM_SCHEMA } from './paramSchema.js';
+import { naturalFrequency } from './tuning.js';
+
+// Mode ranges matching the sliders
+const MAX_MODE = PARAM_SCHEMA.m.max;
+const MAX_COEFFICIENT = PARAM_SCHEMA.patternMixX.max;
+
+let catalogue = null; // Lazily built list of distinct modes, sorted by frequency
+
+/**
+ * Modes that describe the same plate are listed once:
+ * (m, n, a, b) equals (n, m, b, a) by symmetry of the equation,
+ * and (-a, -b) only flips the sign of the field, leaving the nodal lines unchanged.
+ * With m = n and a = -b both waves cancel out, so there is no pattern at all.
+ */
+function isCanonicalMode(m, n, a, b) {
+    if (m > n || (m === n && (a < b || a === -b))) return false;
+    return a > 0 || (a === 0 && b > 0);
+}
+
+/**
+ * Every distinct mode up to the slider limits, sorted by ascending frequency
+ * Entries have the shape { m, n, a, b, frequency }, with the natural, unquantized frequency
+ */
+export function getModeCatalogue() {
+    if (!catalogue) {
+        catalogue = [];
+        for (let m = 1; m <= MAX_MODE; m++) {
+            for (let n = 1; n <= MAX_MODE; n++) {
+                for (let a = -MAX_COEFFICIENT; a <= MAX_COEFFICIENT; a++) {
+                    for (let b = -MAX_COEFFICIENT; b <= MAX_COEFFICIENT; b++) {
+                        if (!isCanonicalMode(m, n, a, b)) continue;
+                        const pattern = { m, n, a, b };
+                        catalogue.push({
+                            ...pattern,
+                            frequency: naturalFrequency(pattern),
+                        });
+                    }
+                }
+            }
+        }
+        catalogue.sort((first, second) => first.frequency - second.frequency);
+    }
+    return catalogue;
+}
+
+/**
+ * Rank modes by how close they resonate to `frequency`
+ * Distance is measured as a pitch interval, so it is equally fair at low and high notes.
+ * Returns up to `limit` entries of { m, n, a, b, frequency, cents },
+ * where cents is the offset of the mode from the target pitch.
+ */
+export function findModesNearFrequency(frequency, limit = 10) {
+    return getModeCatalogue()
+        .map((mode) => ({ ...mode, cents: 1200 * Math.log2(mode.frequency / frequency) }))
+        .sort((first, second) => Math.abs(first.cents) - Math.abs(second.cents))
+        .slice(0, limit);
+}
+
+/**
+ * Find the Chladni mode (m, n, a, b) whose frequency is closest to `frequency`
+ */
+export function findClosestMode(frequency) {
+    return findModesNearFrequency(frequency, 1)[0] ?? null;
+}
+
+/**
+ * Short human-readable description of a mode, e.g. "3×2 (1, -1) 220.0 Hz"
+ */
+export function formatMode(mode) {
+    return `${mode.m}×${mode.n} (${mode.a}, ${mode.b}) ${mode.frequency.toFixed(1)} Hz`;
+}
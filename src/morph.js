@@ -0,0 +1,94 @@
+// Smooth transitions between patterns. When the set of sounding modes changes,
+// the plate crossfades from the field it was showing to the new one over the
+// morph time, and the synth glides between pitches along the same easing curve.
+
+export const EASINGS = {
+    Linear: 'linear',
+    'Ease In': 'easeIn',
+    'Ease Out': 'easeOut',
+    'Ease In-Out': 'easeInOut',
+};
+
+const EASING_FUNCTIONS = {
+    linear: (t) => t,
+    easeIn: (t) => t * t * t,
+    easeOut: (t) => 1 - (1 - t) ** 3,
+    easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2),
+};
+
+const MIN_WEIGHT = 0.001; // Modes fading below this weight are dropped from the blend
+const GLIDE_STEPS = 32; // Points of the pitch curve handed to the audio parameter
+
+let targetKey = null; // Identity of the modes being morphed towards
+let fromModes = []; // Blended modes at the moment the current transition started
+let startTime = 0;
+let lastModes = []; // Blended modes returned by the last call
+
+/**
+ * Eased progress of a transition, for `t` in [0, 1]
+ */
+export function ease(easing, t) {
+    const clamped = Math.min(Math.max(t, 0), 1);
+    return (EASING_FUNCTIONS[easing] ?? EASING_FUNCTIONS.linear)(clamped);
+}
+
+function modeKey({ m, n, a, b }) {
+    return `${m},${n},${a},${b}`;
+}
+
+/**
+ * Merge repeated modes and drop the ones that have faded out,
+ * so interrupted transitions do not pile up modes
+ */
+function compactModes(modes) {
+    const merged = new Map();
+    modes.forEach((mode) => {
+        const key = modeKey(mode);
+        const existing = merged.get(key);
+        if (existing) existing.weight += mode.weight;
+        else merged.set(key, { ...mode });
+    });
+    return [...merged.values()].filter((mode) => mode.weight > MIN_WEIGHT);
+}
+
+/**
+ * Blend the sounding `modes` ([{ m, n, a, b, weight }]) with the modes shown before
+ * they last changed. A new transition starts whenever the set of patterns changes;
+ * weights changing on their own (envelopes, velocity) follow immediately.
+ * `time` is in seconds and `duration` is the morph time, where 0 switches at once.
+ */
+export function morphModes(modes, time, duration, easing) {
+    // Voices scheduled ahead have no weight yet, and only start the transition once heard
+    const key = modes
+        .filter((mode) => mode.weight > 0)
+        .map(modeKey)
+        .join(';');
+    if (key !== targetKey) {
+        // The very first modes are shown as they are
+        fromModes = targetKey === null ? modes : lastModes;
+        startTime = time;
+        targetKey = key;
+    }
+
+    const progress = duration > 0 ? ease(easing, (time - startTime) / duration) : 1;
+    lastModes =
+        progress >= 1
+            ? modes
+            : compactModes([
+                  ...fromModes.map((mode) => ({ ...mode, weight: mode.weight * (1 - progress) })),
+                  ...modes.map((mode) => ({ ...mode, weight: mode.weight * progress })),
+              ]);
+    return lastModes;
+}
+
+/**
+ * Pitch curve gliding from one frequency to another with the given easing,
+ * interpolated in log frequency so the glide sounds even across octaves
+ */
+export function getGlideCurve(fromFrequency, toFrequency, easing) {
+    const ratio = toFrequency / fromFrequency;
+    return Array.from(
+        { length: GLIDE_STEPS + 1 },
+        (_, step) => fromFrequency * ratio ** ease(easing, step / GLIDE_STEPS),
+    );
+}
@@ -0,0 +1,70 @@
+import { EASINGS } from './morph.js';
+import { PHYSICS_MODELS } from './physics.js';
+import { PLATE_SHAPES } from './plates.js';
+import { PLATE_VIEWS } from './plateView.js';
+import { PALETTES, RENDER_MODES } from './renderModes.js';
+import { SCALES } from './tuning.js';
+import { SYNTH_VOICES } from './voices.js';
+
+// Ranges and choices of the shareable parameters. The panel bindings use these,
+// and so does anything that validates outside values, such as the URL state.
+// Switches have the type 'boolean' and colours, as '#rrggbb', the type 'color'.
+export const PARAM_SCHEMA = {
+    plateShape: { options: PLATE_SHAPES },
+    m: { min: 1, max: 15, step: 1 },
+    n: { min: 1, max: 15, step: 1 },
+    patternMixX: { min: -2, max: 2, step: 1 },
+    patternMixY: { min: -2, max: 2, step: 1 },
+    vibrationStrength: { min: 0.01, max: 0.2, step: 0.01 },
+    particles: { min: 1000, max: 100000, step: 1000 },
+    physicsModel: { options: PHYSICS_MODELS },
+    settleSpeed: { min: 0.1, max: 5, step: 0.1 },
+    jitter: { min: 0, max: 1, step: 0.05 },
+    targetFps: { min: 20, max: 144, step: 1 },
+    interaction: { type: 'boolean' },
+    interactionRadius: { min: 0.002, max: 0.04, step: 0.001 },
+    interactionStiffness: { min: 0, max: 1, step: 0.05 },
+    interactionFriction: { min: 0, max: 1, step: 0.05 },
+    morphTime: { min: 0, max: 3, step: 0.05 },
+    morphEasing: { options: EASINGS },
+    volume: { min: 0, max: 1, step: 0.1 },
+    view: { options: PLATE_VIEWS },
+    surfaceAmplitude: { min: 0, max: 0.6, step: 0.05 },
+    renderMode: { options: RENDER_MODES },
+    backgroundColor: { type: 'color' },
+    nodalLines: { type: 'boolean' },
+    palette: { options: PALETTES },
+    trailFade: { min: 0.5, max: 0.99, step: 0.01 },
+    synthVoice: { options: SYNTH_VOICES },
+    patternModulation: { type: 'boolean' },
+    reverbDecay: { min: 0.1, max: 10, step: 0.1 },
+    reverbWet: { min: 0, max: 1, step: 0.05 },
+    delayTime: { min: 0.01, max: 1, step: 0.01 },
+    delayFeedback: { min: 0, max: 0.9, step: 0.05 },
+    filterType: {
+        options: {
+            'Band Pass': 'bandpass',
+            'Low Pass': 'lowpass',
+            'High Pass': 'highpass',
+            Notch: 'notch',
+        },
+    },
+    filterFrequency: { min: 20, max: 10000, step: 10 },
+    filterQ: { min: 0.1, max: 20, step: 0.1 },
+    spectralDrive: { type: 'boolean' },
+    energyAttack: { min: 0.001, max: 0.5, step: 0.001 },
+    energyRelease: { min: 0.01, max: 2, step: 0.01 },
+    energyBandwidth: { min: 10, max: 200, step: 5 },
+};
+
+// Tuning settings shared in links along with PARAM_SCHEMA, read from and written to TUNING.
+// A loaded Scala file cannot travel in a link, so it is not one of the scale options.
+export const TUNING_SCHEMA = {
+    scale: {
+        options: Object.fromEntries(
+            Object.entries(SCALES).filter(([, value]) => value !== 'scala'),
+        ),
+    },
+    root: { min: 0, max: 11, step: 1 }, // Pitch class, 0 = C
+    referencePitch: { min: 415, max: 466, step: 0.5 },
+};
@@ -0,0 +1,296 @@
+// Particle physics shared by the main thread and the simulation worker.
+// Nothing in this module may touch the DOM, Three.js or Tone.js.
+// Every function drawing random numbers takes a `random` source returning values
+// in [0, 1), so seeded runs can be reproduced.
+import { isOnPlate, randomPointOnPlate, superposedField } from './plates.js';
+
+export const PLANE_SIZE = 2.4;
+const HALF_SIZE = PLANE_SIZE / 2;
+
+export const PHYSICS_MODELS = {
+    Diffuse: 'diffuse', // Random kicks scaled by the field, patterns form by diffusion
+    Gradient: 'gradient', // Particles slide down the gradient of |f| onto the nodal lines
+};
+
+const RANDOMNESS = 0.07; // Scale of random kicks from the vibrating plate
+const GRADIENT_STEP = 0.001; // Finite difference step in normalized coordinates
+const SETTLE_SCALE = 0.01; // Converts the settling speed parameter to world units per frame
+
+/**
+ * Keep particle `i` on the plate, bouncing it off the edge with some energy loss.
+ * Works in place on the world-space position and velocity buffers.
+ */
+function constrainParticle(shape, positions, velocities, i) {
+    const bound = HALF_SIZE - 0.01;
+    const bounceDamping = 0.7; // Energy loss on bounce
+    const x = positions[i * 3];
+    const y = positions[i * 3 + 1];
+
+    if (shape === 'circular') {
+        const r = Math.sqrt(x * x + y * y);
+        if (r > bound) {
+            // Project back onto the rim and reflect the outward velocity component
+            const nx = x / r;
+            const ny = y / r;
+            positions[i * 3] = nx * bound;
+            positions[i * 3 + 1] = ny * bound;
+            const radialVelocity = velocities[i * 2] * nx + velocities[i * 2 + 1] * ny;
+            if (radialVelocity > 0) {
+                velocities[i * 2] -= (1 + bounceDamping) * radialVelocity * nx;
+                velocities[i * 2 + 1] -= (1 + bounceDamping) * radialVelocity * ny;
+            }
+        }
+        return;
+    }
+
+    if (Math.abs(x) > bound) {
+        positions[i * 3] = Math.sign(x) * bound;
+        velocities[i * 2] *= -bounceDamping;
+    }
+    if (Math.abs(y) > bound) {
+        positions[i * 3 + 1] = Math.sign(y) * bound;
+        velocities[i * 2 + 1] *= -bounceDamping;
+    }
+}
+
+/**
+ * Allocate new particle buffers for `count` particles, preserving existing
+ * particles and spawning any additional ones near randomly chosen survivors.
+ * New particles are scattered over the given plate shape.
+ * `allocate(length)` returns the Float32Array to fill, which lets the worker
+ * hand out SharedArrayBuffer-backed arrays.
+ */
+export function resizeParticles(
+    positions,
+    velocities,
+    count,
+    shape,
+    allocate,
+    random = Math.random,
+) {
+    const newPositions = allocate(count * 3);
+    const newVelocities = allocate(count * 2);
+    const currentCount = positions ? positions.length / 3 : 0;
+
+    if (currentCount > 0) {
+        // Copy existing particle data
+        const preserveCount = Math.min(currentCount, count);
+        newPositions.set(positions.subarray(0, preserveCount * 3));
+        newVelocities.set(velocities.subarray(0, preserveCount * 2));
+
+        // Initialize any additional particles near existing ones
+        for (let i = preserveCount; i < count; i++) {
+            // Pick a random existing particle to spawn near
+            const sourceIdx = Math.floor(random() * preserveCount);
+            const offsetScale = 0.1; // How far from source particle to spawn
+
+            newPositions[i * 3] = positions[sourceIdx * 3] + (random() - 0.5) * offsetScale;
+            newPositions[i * 3 + 1] = positions[sourceIdx * 3 + 1] + (random() - 0.5) * offsetScale;
+            newPositions[i * 3 + 2] = 0;
+
+            newVelocities[i * 2] = velocities[sourceIdx * 2] * 0.5;
+            newVelocities[i * 2 + 1] = velocities[sourceIdx * 2 + 1] * 0.5;
+
+            // The offset may push particles near the edge off the plate
+            constrainParticle(shape, newPositions, newVelocities, i);
+        }
+    } else {
+        // First time creation - initialize all particles randomly
+        for (let i = 0; i < count; i++) {
+            const [x, y] = randomPointOnPlate(shape, random);
+            newPositions[i * 3] = x * HALF_SIZE;
+            newPositions[i * 3 + 1] = y * HALF_SIZE;
+            newPositions[i * 3 + 2] = 0;
+
+            newVelocities[i * 2] = 0;
+            newVelocities[i * 2 + 1] = 0;
+        }
+    }
+
+    return { positions: newPositions, velocities: newVelocities };
+}
+
+/**
+ * Move particles that fall outside a newly chosen plate shape to random points on it
+ */
+export function reshapeParticles(positions, velocities, shape, random = Math.random) {
+    const count = velocities.length / 2;
+    for (let i = 0; i < count; i++) {
+        if (isOnPlate(shape, positions[i * 3] / HALF_SIZE, positions[i * 3 + 1] / HALF_SIZE)) {
+            continue;
+        }
+        const [x, y] = randomPointOnPlate(shape, random);
+        positions[i * 3] = x * HALF_SIZE;
+        positions[i * 3 + 1] = y * HALF_SIZE;
+        velocities[i * 2] = 0;
+        velocities[i * 2 + 1] = 0;
+    }
+}
+
+/**
+ * Advance every particle by one frame.
+ * `params` carries the plate shape, the sounding modes as a list of { m, n, a, b, weight }
+ * whose fields are superposed, the vibration strength,
+ * the physics model with its settling speed and jitter, and the audio input sampled
+ * on the main thread (audioLevel, isAudioActive).
+ */
+export function stepParticles(positions, velocities, params, random = Math.random) {
+    const {
+        shape,
+        modes,
+        vibrationStrength,
+        physicsModel,
+        settleSpeed,
+        jitter,
+        audioLevel,
+        isAudioActive,
+    } = params;
+    const count = velocities.length / 2;
+    const useGradient = physicsModel === 'gradient';
+
+    for (let i = 0; i < count; i++) {
+        let x = positions[i * 3];
+        let y = positions[i * 3 + 1];
+        let vx = velocities[i * 2];
+        let vy = velocities[i * 2 + 1];
+
+        // Convert to normalized coordinates [-1, 1]
+        const x_norm = x / HALF_SIZE;
+        const y_norm = y / HALF_SIZE;
+
+        if (isAudioActive) {
+            // Calculate Chladni value at current position
+            const value = superposedField(shape, x_norm, y_norm, modes);
+            const drive = vibrationStrength * (1 + audioLevel * 2);
+
+            if (useGradient) {
+                // Slide down the gradient of |f| towards the nearest node.
+                // The step shrinks with |f|, so particles settle on the line instead of overshooting.
+                const magnitude = Math.abs(value);
+                const gx =
+                    Math.abs(superposedField(shape, x_norm + GRADIENT_STEP, y_norm, modes)) -
+                    magnitude;
+                const gy =
+                    Math.abs(superposedField(shape, x_norm, y_norm + GRADIENT_STEP, modes)) -
+                    magnitude;
+                const gradientLength = Math.sqrt(gx * gx + gy * gy);
+                if (gradientLength > 0) {
+                    const step = (magnitude * drive * settleSpeed * SETTLE_SCALE) / gradientLength;
+                    vx -= gx * step;
+                    vy -= gy * step;
+                }
+
+                // Jitter keeps particles from freezing in local minima away from the lines
+                const randomAngle = random() * Math.PI * 2;
+                const kick = magnitude * drive * jitter * RANDOMNESS;
+                vx += kick * Math.cos(randomAngle);
+                vy += kick * Math.sin(randomAngle);
+            } else {
+                // Add force based on Chladni value with more randomness and wider spread
+                const force = value * drive;
+                const randomAngle = random() * Math.PI * 2;
+                vx += force * Math.cos(randomAngle) * RANDOMNESS;
+                vy += force * Math.sin(randomAngle) * RANDOMNESS;
+            }
+
+            // Apply normal damping during active sound
+            vx *= 0.85;
+            vy *= 0.85;
+        } else {
+            // When no sound, apply immediate velocity reduction
+            // First, apply a strong initial reduction to quickly slow down fast-moving particles
+            vx *= 0.85;
+            vy *= 0.85;
+
+            // Then apply additional damping for particles still moving
+            const speed = Math.sqrt(vx * vx + vy * vy);
+            if (speed > 0.001) {
+                const dampingFactor = Math.max(0.5, 1 - speed * 2);
+                vx *= dampingFactor;
+                vy *= dampingFactor;
+            } else {
+                // If moving very slowly, stop completely
+                vx = 0;
+                vy = 0;
+            }
+        }
+
+        // Update position
+        x += vx;
+        y += vy;
+
+        // Store updated values
+        positions[i * 3] = x;
+        positions[i * 3 + 1] = y;
+        velocities[i * 2] = vx;
+        velocities[i * 2 + 1] = vy;
+
+        // Boundary conditions (bounce off edges with some energy loss)
+        constrainParticle(shape, positions, velocities, i);
+    }
+}
+
+/**
+ * Short-range contact between particles, so they pile up with some width instead of
+ * collapsing onto the same pixels. Overlapping pairs closer than `interactionRadius`
+ * are pushed apart by `interactionStiffness` (0 to 1) of the overlap, and
+ * `interactionFriction` (0 to 1) evens out their velocities so packed grains move together.
+ * `hash` is a spatial hash (see spatialHash.js), rebuilt here every call.
+ */
+export function repelParticles(positions, velocities, params, hash) {
+    const {
+        shape,
+        interactionRadius: radius,
+        interactionStiffness: stiffness,
+        interactionFriction: friction,
+    } = params;
+    const count = velocities.length / 2;
+    hash.build(positions, count, HALF_SIZE, radius);
+    const { cellsPerSide, cellStart, particles, cellOf } = hash;
+    const radiusSquared = radius * radius;
+    const damping = friction * 0.5;
+
+    for (let i = 0; i < count; i++) {
+        const cell = cellOf[i];
+        const cx = cell % cellsPerSide;
+        const cy = (cell - cx) / cellsPerSide;
+
+        // Cells are at least one radius wide, so every contact is in the 3×3 block around
+        for (let ny = Math.max(cy - 1, 0); ny <= Math.min(cy + 1, cellsPerSide - 1); ny++) {
+            for (let nx = Math.max(cx - 1, 0); nx <= Math.min(cx + 1, cellsPerSide - 1); nx++) {
+                const neighbourCell = ny * cellsPerSide + nx;
+                for (let k = cellStart[neighbourCell]; k < cellStart[neighbourCell + 1]; k++) {
+                    const j = particles[k];
+                    if (j <= i) continue; // Each pair once
+
+                    const dx = positions[j * 3] - positions[i * 3];
+                    const dy = positions[j * 3 + 1] - positions[i * 3 + 1];
+                    const distanceSquared = dx * dx + dy * dy;
+                    if (distanceSquared >= radiusSquared) continue;
+
+                    // Particles on exactly the same spot are separated along x
+                    const distance = Math.sqrt(distanceSquared);
+                    const normalX = distance > 0 ? dx / distance : 1;
+                    const normalY = distance > 0 ? dy / distance : 0;
+                    const push = 0.5 * stiffness * (radius - distance);
+                    positions[i * 3] -= normalX * push;
+                    positions[i * 3 + 1] -= normalY * push;
+                    positions[j * 3] += normalX * push;
+                    positions[j * 3 + 1] += normalY * push;
+
+                    const dvx = (velocities[j * 2] - velocities[i * 2]) * damping;
+                    const dvy = (velocities[j * 2 + 1] - velocities[i * 2 + 1]) * damping;
+                    velocities[i * 2] += dvx;
+                    velocities[i * 2 + 1] += dvy;
+                    velocities[j * 2] -= dvx;
+                    velocities[j * 2 + 1] -= dvy;
+                }
+            }
+        }
+    }
+
+    // Pushes near the edge may move particles off the plate
+    for (let i = 0; i < count; i++) {
+        constrainParticle(shape, positions, velocities, i);
+    }
+}
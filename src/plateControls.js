@@ -0,0 +1,51 @@
+import { PARAM_SCHEMA } from './paramSchema.js';
+
+// Panel of an embedded <cymatic-plate>. It is kept apart from the app's controls,
+// so the library build does not pull in the app's panel and its PARAMS.
+
+/**
+ * Compact panel of one embedded plate, bound to its own `params` instead of PARAMS.
+ * `onChange(key, value)` reports every edit made in the panel, but not the values
+ * refresh() shows. Returns { refresh(), setPlaying(playing) }.
+ */
+export function setupPlateControls(pane, params, { onChange, onPlayingChange }) {
+    const playButton = pane.addButton({ title: 'Play', label: 'Sound' });
+    let isPlaying = false;
+    playButton.on('click', () => onPlayingChange(!isPlaying));
+
+    pane.addBinding(params, 'shape', { ...PARAM_SCHEMA.plateShape, label: 'Shape' });
+    pane.addBinding(params, 'm', { ...PARAM_SCHEMA.m, label: 'X Mode' });
+    pane.addBinding(params, 'n', { ...PARAM_SCHEMA.n, label: 'Y Mode' });
+    pane.addBinding(params, 'a', { ...PARAM_SCHEMA.patternMixX, label: 'a' });
+    pane.addBinding(params, 'b', { ...PARAM_SCHEMA.patternMixY, label: 'b' });
+    pane.addBinding(params, 'particles', { ...PARAM_SCHEMA.particles, label: 'Count' });
+    pane.addBinding(params, 'vibrationStrength', {
+        ...PARAM_SCHEMA.vibrationStrength,
+        label: 'Vibration',
+    });
+    pane.addBinding(params, 'renderMode', { ...PARAM_SCHEMA.renderMode, label: 'Render' });
+    pane.addBinding(params, 'palette', { ...PARAM_SCHEMA.palette, label: 'Palette' });
+    pane.addBinding(params, 'nodalLines', { label: 'Nodal Lines' });
+    pane.addBinding(params, 'voice', { ...PARAM_SCHEMA.synthVoice, label: 'Voice' });
+    pane.addBinding(params, 'volume', { ...PARAM_SCHEMA.volume, label: 'Volume' });
+    // Refreshing fires change events for the values the element has already applied
+    let isRefreshing = false;
+    pane.on('change', ({ target, value }) => {
+        if (target.key && !isRefreshing) onChange(target.key, value);
+    });
+
+    return {
+        refresh() {
+            isRefreshing = true;
+            try {
+                pane.refresh();
+            } finally {
+                isRefreshing = false;
+            }
+        },
+        setPlaying(playing) {
+            isPlaying = playing;
+            playButton.title = playing ? 'Stop' : 'Play';
+        },
+    };
+}
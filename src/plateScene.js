@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+import { PLANE_SIZE } from './physics.js';
+import { isOnPlate, superposedField } from './plates.js';
+import { createRenderModes } from './renderModes.js';
+
+// Renderer, scene and top-down camera of a plate, with the particles built around
+// the simulation buffers and drawn through the render modes. The app and every
+// <cymatic-plate> each create one; the app adds its 3D view to the same scene.
+
+/**
+ * Create the renderer, scene and camera of a plate. Nothing is drawn until
+ * setParticles() has been called.
+ */
+export function createPlateScene() {
+    const renderer = new THREE.WebGLRenderer({ antialias: true });
+    renderer.setPixelRatio(window.devicePixelRatio);
+
+    const scene = new THREE.Scene();
+    const camera = new THREE.OrthographicCamera(
+        PLANE_SIZE / -2.01,
+        PLANE_SIZE / 2.01,
+        PLANE_SIZE / 2.01,
+        PLANE_SIZE / -2.01,
+        0.1,
+        100,
+    );
+    camera.position.z = 5;
+    camera.lookAt(scene.position);
+
+    const renderModes = createRenderModes();
+    let particles = null;
+    let fieldKey = null; // Shape and modes the field texture was last sampled for
+
+    return {
+        renderer,
+        scene,
+        camera,
+
+        get particles() {
+            return particles;
+        },
+
+        /**
+         * Build the Points object around the simulation position and velocity buffers,
+         * replacing the previous one
+         */
+        setParticles(positions, velocities, pointSize) {
+            if (particles) {
+                particles.geometry.dispose();
+                particles.material.dispose();
+                scene.remove(particles);
+            }
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+            geometry.setAttribute('velocity', new THREE.BufferAttribute(velocities, 2));
+            particles = new THREE.Points(geometry, renderModes.createParticleMaterial(pointSize));
+            scene.add(particles);
+        },
+
+        /**
+         * Flag the buffers for upload after the simulation has moved the particles
+         */
+        updateParticles() {
+            particles.geometry.attributes.position.needsUpdate = true;
+            particles.geometry.attributes.velocity.needsUpdate = true;
+        },
+
+        setPointSize(pointSize) {
+            if (particles) particles.material.uniforms.pointSize.value = pointSize;
+        },
+
+        /**
+         * Size the canvas to `width`×`height` CSS pixels, showing the plate in the
+         * centred `size`×`size` square of it
+         */
+        resize(width, height, size) {
+            renderer.setSize(width, height);
+            renderer.setViewport((width - size) / 2, (height - size) / 2, size, size);
+            renderModes.resize(Math.round(size * renderer.getPixelRatio()));
+        },
+
+        /**
+         * Sample the superposed field of `modes` into the field texture if they changed
+         * since the last call. Returns the texture's normalizing scale when it was
+         * resampled, or null.
+         */
+        updateField(shape, modes) {
+            // Envelopes change the weights every frame, so round them to skip imperceptible updates
+            const key = JSON.stringify([
+                shape,
+                modes.map(({ m, n, a, b, weight }) => [m, n, a, b, weight.toFixed(2)]),
+            ]);
+            if (key === fieldKey) return null;
+            fieldKey = key;
+            return renderModes.updateFieldTexture(
+                (x, y) => superposedField(shape, x, y, modes),
+                (x, y) => isOnPlate(shape, x, y),
+            );
+        },
+
+        /**
+         * Resample the field on the next updateField(), e.g. after the plate shape changed
+         */
+        resetField() {
+            fieldKey = null;
+        },
+
+        /**
+         * Draw the particles in the render mode of `settings` (see renderModes.js)
+         */
+        render(settings, viewCamera = camera) {
+            renderModes.render(renderer, scene, viewCamera, particles, settings);
+        },
+
+        dispose() {
+            if (particles) {
+                particles.geometry.dispose();
+                particles.material.dispose();
+            }
+            renderModes.dispose();
+            renderer.dispose();
+            renderer.domElement.remove();
+        },
+    };
+}
@@ -0,0 +1,115 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { PLANE_SIZE } from './physics.js';
+
+// 3D view of the plate as a lit, displaced surface seen through an orbiting
+// perspective camera. The surface height is f(x, y)·amplitude·sin(ωt), slowed
+// down to a visible rate, so the nodal lines show up as the parts that never move.
+
+export const PLATE_VIEWS = {
+    '2D': '2d',
+    '3D': '3d',
+};
+
+const HALF_SIZE = PLANE_SIZE / 2;
+const SURFACE_SEGMENTS = 128; // Grid segments per side of the square surface
+const RADIAL_SEGMENTS = 48; // Rings of the circular surface
+const VISUAL_FREQUENCY = 1.5; // Hz; the real vibration is far too fast to see
+
+let camera = null;
+let controls = null;
+let surface = null; // Mesh of the plate, hidden in the 2D view
+let lights = null;
+let baseHeights = null; // Normalized f(x, y) at each surface vertex
+
+/**
+ * Create the perspective camera, orbit controls, lights and plate surface.
+ * Nothing is shown until the 3D view is activated.
+ */
+export function initPlateView(renderer, scene) {
+    camera = new THREE.PerspectiveCamera(45, 1, 0.1, 100);
+    camera.up.set(0, 0, 1); // The plate lies in the xy plane
+    camera.position.set(0, -3.2, 2.4);
+
+    controls = new OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true;
+    controls.minDistance = 1;
+    controls.maxDistance = 12;
+    controls.enabled = false;
+
+    lights = new THREE.Group();
+    lights.add(new THREE.AmbientLight(0xffffff, 0.4));
+    const sun = new THREE.DirectionalLight(0xffffff, 2);
+    sun.position.set(2, -3, 4);
+    lights.add(sun);
+    lights.visible = false;
+    scene.add(lights);
+
+    const material = new THREE.MeshStandardMaterial({
+        color: 0x4a5060,
+        metalness: 0.6,
+        roughness: 0.35,
+        side: THREE.DoubleSide,
+    });
+    surface = new THREE.Mesh(new THREE.BufferGeometry(), material);
+    surface.visible = false;
+    scene.add(surface);
+}
+
+/**
+ * Rebuild the surface for a plate shape: a square grid or a disc of rings
+ */
+export function setSurfaceShape(shape) {
+    surface.geometry.dispose();
+    surface.geometry =
+        shape === 'circular'
+            ? new THREE.RingGeometry(0, HALF_SIZE, SURFACE_SEGMENTS, RADIAL_SEGMENTS)
+            : new THREE.PlaneGeometry(PLANE_SIZE, PLANE_SIZE, SURFACE_SEGMENTS, SURFACE_SEGMENTS);
+    baseHeights = new Float32Array(surface.geometry.attributes.position.count);
+}
+
+/**
+ * Show or hide the 3D view; the orbit controls only listen while it is shown
+ */
+export function setPlateViewActive(active) {
+    surface.visible = active;
+    lights.visible = active;
+    controls.enabled = active;
+}
+
+export function getPlateCamera() {
+    return camera;
+}
+
+export function resizePlateView(width, height) {
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+}
+
+/**
+ * Sample `field(x, y)` in normalized coordinates at every surface vertex.
+ * `scale` normalizes the heights, and should match the field texture the particles read.
+ */
+export function updateSurfaceHeights(field, scale) {
+    const positions = surface.geometry.attributes.position;
+    for (let i = 0; i < positions.count; i++) {
+        baseHeights[i] =
+            field(positions.getX(i) / HALF_SIZE, positions.getY(i) / HALF_SIZE) * scale;
+    }
+}
+
+/**
+ * Move the surface to its displacement at `time` seconds and return the displacement,
+ * amplitude·sin(ωt), so the particles can ride along
+ */
+export function updateSurface(time, amplitude) {
+    const displacement = amplitude * Math.sin(2 * Math.PI * VISUAL_FREQUENCY * time);
+    const positions = surface.geometry.attributes.position;
+    for (let i = 0; i < positions.count; i++) {
+        positions.setZ(i, baseHeights[i] * displacement);
+    }
+    positions.needsUpdate = true;
+    surface.geometry.computeVertexNormals();
+    controls.update();
+    return displacement;
+}
@@ -0,0 +1,185 @@
+// Plate geometries: displacement field, boundary and particle scattering for each shape.
+// Coordinates are normalized to [-1, 1] across the plate.
+
+const PI = Math.PI;
+
+export const PLATE_SHAPES = {
+    Square: 'square',
+    Circular: 'circular',
+    'Free Edge': 'free',
+};
+
+/**
+ * Calculate Chladni pattern value at a point (x,y)
+ * Using the equation: f(x,y) = a*sin(πnx)*sin(πmy) + b*sin(πmx)*sin(πny)
+ * where:
+ * - m,n are mode numbers that determine the basic pattern shape
+ * - a,b are amplitude coefficients that control relative strength of components
+ */
+export function chladni(x, y, m, n, a, b) {
+    // Convert from [-1,1] to [0,1] range for consistent pattern with reference
+    x = (x + 1) / 2;
+    y = (y + 1) / 2;
+
+    // First standing wave pattern: a*sin(πnx)*sin(πmy)
+    const pattern1 = Math.sin(PI * n * x) * Math.sin(PI * m * y);
+
+    // Second standing wave pattern: b*sin(πmx)*sin(πny)
+    const pattern2 = Math.sin(PI * m * x) * Math.sin(PI * n * y);
+
+    // Mix the patterns using the amplitude coefficients
+    return a * pattern1 + b * pattern2;
+}
+
+/**
+ * Square plate with free edges, using Chladni's classic Ritz approximation:
+ * f(x,y) = a*cos(πnx)*cos(πmy) + b*cos(πmx)*cos(πny)
+ * Unlike the simply supported plate, the edges move and are antinodes.
+ */
+export function freeEdgeChladni(x, y, m, n, a, b) {
+    x = (x + 1) / 2;
+    y = (y + 1) / 2;
+
+    const pattern1 = Math.cos(PI * n * x) * Math.cos(PI * m * y);
+    const pattern2 = Math.cos(PI * m * x) * Math.cos(PI * n * y);
+
+    return a * pattern1 + b * pattern2;
+}
+
+/**
+ * Bessel function of the first kind, J_order(x), for integer order.
+ * Uses the trapezoidal rule on Bessel's integral, which converges very fast
+ * because the integrand is periodic.
+ */
+export function besselJ(order, x) {
+    const steps = Math.max(64, Math.ceil(Math.abs(x) + order) * 2);
+    let sum = 0;
+    for (let i = 0; i < steps; i++) {
+        const tau = (2 * PI * i) / steps;
+        sum += Math.cos(order * tau - x * Math.sin(tau));
+    }
+    return sum / steps;
+}
+
+const besselZeroCache = new Map();
+
+/**
+ * The k-th positive zero of J_order, found by scanning for a sign change and bisecting
+ */
+export function besselZero(order, k) {
+    const key = `${order},${k}`;
+    if (besselZeroCache.has(key)) return besselZeroCache.get(key);
+
+    const scanStep = 0.1;
+    let found = 0;
+    let lo = order === 0 ? scanStep : order; // No zeros of J_order below its order
+    let valueLo = besselJ(order, lo);
+    for (;;) {
+        const hi = lo + scanStep;
+        const valueHi = besselJ(order, hi);
+        if (valueLo * valueHi < 0 && ++found === k) {
+            let left = lo;
+            let right = hi;
+            for (let i = 0; i < 40; i++) {
+                const mid = (left + right) / 2;
+                if (besselJ(order, left) * besselJ(order, mid) <= 0) right = mid;
+                else left = mid;
+            }
+            const zero = (left + right) / 2;
+            besselZeroCache.set(key, zero);
+            return zero;
+        }
+        lo = hi;
+        valueLo = valueHi;
+    }
+}
+
+// Radial profiles J_k(α_km * r) sampled over r ∈ [0, 1], since evaluating the
+// Bessel integral per particle per frame would be far too slow
+const RADIAL_SAMPLES = 1024;
+const radialProfileCache = new Map();
+
+function getRadialProfile(order, radialMode) {
+    const key = `${order},${radialMode}`;
+    let profile = radialProfileCache.get(key);
+    if (!profile) {
+        const zero = besselZero(order, radialMode);
+        profile = new Float32Array(RADIAL_SAMPLES + 1);
+        for (let i = 0; i <= RADIAL_SAMPLES; i++) {
+            profile[i] = besselJ(order, (zero * i) / RADIAL_SAMPLES);
+        }
+        radialProfileCache.set(key, profile);
+    }
+    return profile;
+}
+
+/**
+ * Circular plate mode with its rim held still:
+ * f(r,θ) = J_k(α_km * r) * (a*cos(kθ) + b*sin(kθ))
+ * where:
+ * - m is the radial mode number, the number of nodal circles including the rim
+ * - k = n - 1 is the angular mode number, the number of nodal diameters
+ * - α_km is the m-th zero of J_k, so the rim is always a node
+ */
+export function circularChladni(x, y, m, n, a, b) {
+    const r = Math.sqrt(x * x + y * y);
+    if (r >= 1) return 0;
+
+    const order = n - 1;
+    const profile = getRadialProfile(order, m);
+    const position = r * RADIAL_SAMPLES;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const radial = profile[index] + (profile[index + 1] - profile[index]) * fraction;
+
+    const theta = Math.atan2(y, x);
+    return radial * (a * Math.cos(order * theta) + b * Math.sin(order * theta));
+}
+
+/**
+ * Displacement of the chosen plate shape at normalized point (x,y)
+ */
+export function plateField(shape, x, y, m, n, a, b) {
+    switch (shape) {
+        case 'circular':
+            return circularChladni(x, y, m, n, a, b);
+        case 'free':
+            return freeEdgeChladni(x, y, m, n, a, b);
+        default:
+            return chladni(x, y, m, n, a, b);
+    }
+}
+
+/**
+ * Displacement of several modes sounding at once: the weighted sum of their fields
+ * `modes` is a list of { m, n, a, b, weight }
+ */
+export function superposedField(shape, x, y, modes) {
+    let value = 0;
+    for (let i = 0; i < modes.length; i++) {
+        const { m, n, a, b, weight } = modes[i];
+        value += weight * plateField(shape, x, y, m, n, a, b);
+    }
+    return value;
+}
+
+/**
+ * Whether a normalized point lies on the plate
+ */
+export function isOnPlate(shape, x, y) {
+    if (shape === 'circular') return x * x + y * y <= 1;
+    return Math.abs(x) <= 1 && Math.abs(y) <= 1;
+}
+
+/**
+ * Uniformly random normalized point on the plate
+ */
+export function randomPointOnPlate(shape, random = Math.random) {
+    if (shape === 'circular') {
+        // Square root of the radius keeps the density uniform over the disc
+        const r = Math.sqrt(random());
+        const theta = random() * 2 * PI;
+        return [r * Math.cos(theta), r * Math.sin(theta)];
+    }
+    return [random() * 2 - 1, random() * 2 - 1];
+}
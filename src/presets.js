@@ -0,0 +1,129 @@
+// Named presets of the panel settings, persisted to localStorage
+// and exchangeable as JSON preset banks
+import { PARAM_SCHEMA } from './paramSchema.js';
+import { sanitizeParam } from './urlState.js';
+
+export const PRESET_SCHEMA_VERSION = 1;
+
+// PARAMS fields stored in a preset
+export const PRESET_FIELDS = [
+    'm',
+    'n',
+    'patternMixX',
+    'patternMixY',
+    'vibrationStrength',
+    'particles',
+    'volume',
+];
+
+const STORAGE_KEY = 'cymatic.presets';
+
+let presets = null; // Lazily loaded list of { name, params }
+
+/**
+ * Keep only known, numeric preset fields, clamped and snapped to their slider ranges.
+ * Stored and imported presets come from outside, so values out of range are not trusted.
+ */
+function pickPresetParams(params) {
+    const picked = {};
+    for (const field of PRESET_FIELDS) {
+        if (!Number.isFinite(params?.[field])) continue;
+        const value = sanitizeParam(PARAM_SCHEMA[field], params[field]);
+        if (value !== undefined) picked[field] = value;
+    }
+    return picked;
+}
+
+function getPresets() {
+    if (!presets) {
+        presets = [];
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (stored) presets = parsePresetBank(stored);
+        } catch (error) {
+            console.warn('Could not read presets from storage:', error);
+        }
+    }
+    return presets;
+}
+
+function persistPresets() {
+    try {
+        localStorage.setItem(STORAGE_KEY, exportPresetBank());
+    } catch (error) {
+        console.warn('Could not save presets to storage:', error);
+    }
+}
+
+/**
+ * Parse and validate a preset bank, throwing an Error describing what is wrong
+ */
+function parsePresetBank(text) {
+    const bank = JSON.parse(text);
+    if (!bank || typeof bank !== 'object' || !Array.isArray(bank.presets)) {
+        throw new Error('Not a Cymatic preset bank');
+    }
+    if (!Number.isInteger(bank.version) || bank.version > PRESET_SCHEMA_VERSION) {
+        throw new Error(`Unsupported preset bank version: ${bank.version}`);
+    }
+    return bank.presets
+        .filter((preset) => typeof preset?.name === 'string' && preset.name.trim() !== '')
+        .map((preset) => ({ name: preset.name.trim(), params: pickPresetParams(preset.params) }));
+}
+
+export function getPresetNames() {
+    return getPresets().map((preset) => preset.name);
+}
+
+export function getPreset(name) {
+    return getPresets().find((preset) => preset.name === name) ?? null;
+}
+
+/**
+ * Save the preset fields of `params` under `name`, replacing any preset with that name
+ */
+export function savePreset(name, params) {
+    const preset = { name, params: pickPresetParams(params) };
+    const index = getPresets().findIndex((existing) => existing.name === name);
+    if (index === -1) {
+        presets.push(preset);
+    } else {
+        presets[index] = preset;
+    }
+    persistPresets();
+}
+
+/**
+ * Rename a preset. Returns false if it does not exist or the new name is taken.
+ */
+export function renamePreset(oldName, newName) {
+    const preset = getPreset(oldName);
+    if (!preset || (newName !== oldName && getPreset(newName))) return false;
+    preset.name = newName;
+    persistPresets();
+    return true;
+}
+
+export function deletePreset(name) {
+    presets = getPresets().filter((preset) => preset.name !== name);
+    persistPresets();
+}
+
+/**
+ * Serialize every preset as a versioned JSON preset bank
+ */
+export function exportPresetBank() {
+    return JSON.stringify({ version: PRESET_SCHEMA_VERSION, presets: getPresets() }, null, 2);
+}
+
+/**
+ * Merge a JSON preset bank into the stored presets; presets with the same name are replaced.
+ * Returns the number of imported presets and throws an Error if the bank is invalid.
+ */
+export function importPresetBank(text) {
+    const imported = parsePresetBank(text);
+    for (const preset of imported) {
+        savePreset(preset.name, preset.params);
+    }
+    return imported.length;
+}
@@ -0,0 +1,132 @@
+// Frame timing: a heads-up display of the frame rate and the time spent simulating
+// and rendering, and a governor that trades particles and pixel ratio for frame rate.
+
+const HUD_INTERVAL = 250; // ms between HUD updates, so the numbers stay readable
+const SMOOTHING = 0.05; // Share of each new frame in the smoothed timings
+
+const MIN_PARTICLES = 5000;
+const PARTICLE_STEP = 1000; // Particle counts are rounded to this
+const MIN_PIXEL_RATIO = 0.5;
+const PIXEL_RATIO_STEP = 0.25;
+
+// Hysteresis: the quality only drops when frames run well over budget, and only rises
+// when the work takes well under it, so the count settles instead of oscillating
+const SLOW_FRAME = 1.15; // Frame time, relative to the budget, that counts as too slow
+const HEADROOM = 0.5; // Work time, relative to the budget, that leaves room to grow
+const LOWER_FACTOR = 0.8; // Particle count kept when lowering the quality
+const RAISE_FACTOR = 1.1; // Particle count growth when raising it
+const COOLDOWN = 2000; // ms to wait after any change before judging its effect
+const RAISE_DELAY = 6000; // ms to wait after lowering before trying to raise again
+
+/**
+ * Create the HUD. update(stats) takes { fps, simulationTime, renderTime, particles,
+ * pixelRatio } with times in ms, and redraws a few times per second.
+ * Returns { update(stats), setVisible(visible) }.
+ */
+export function createPerformanceHud() {
+    const hud = document.createElement('div');
+    hud.className = 'performance-hud';
+    hud.hidden = true;
+    document.body.appendChild(hud);
+
+    let lastUpdate = 0;
+
+    return {
+        update({ fps, simulationTime, renderTime, particles, pixelRatio }) {
+            const now = performance.now();
+            if (hud.hidden || now - lastUpdate < HUD_INTERVAL) return;
+            lastUpdate = now;
+            hud.textContent = [
+                `${fps.toFixed(0)} fps`,
+                `sim ${simulationTime.toFixed(1)} ms`,
+                `render ${renderTime.toFixed(1)} ms`,
+                `${particles.toLocaleString()} particles @ ${pixelRatio.toFixed(2)}x`,
+            ].join('\n');
+        },
+        setVisible(visible) {
+            hud.hidden = !visible;
+        },
+    };
+}
+
+/**
+ * Create the governor. Call record() every frame with the frame interval and the
+ * simulation and render times in ms; the smoothed values are kept in `timings`.
+ * adjust() then returns the { particles, pixelRatio } to switch to, or null.
+ */
+export function createQualityGovernor() {
+    const timings = { frameTime: 0, simulationTime: 0, renderTime: 0 };
+    let lastChange = 0;
+    let lastLowered = -Infinity;
+
+    const smooth = (key, value) => {
+        timings[key] =
+            timings[key] === 0 ? value : timings[key] + (value - timings[key]) * SMOOTHING;
+    };
+
+    const roundParticles = (count) => Math.round(count / PARTICLE_STEP) * PARTICLE_STEP;
+
+    return {
+        timings,
+
+        record({ frameTime, simulationTime, renderTime }) {
+            smooth('frameTime', frameTime);
+            smooth('simulationTime', simulationTime);
+            smooth('renderTime', renderTime);
+        },
+
+        /**
+         * Decide on a quality change at `time` (ms) to hold `targetFps`, given the current
+         * particle count and pixel ratio and the ceilings they may be raised back to
+         */
+        adjust({ time, targetFps, particles, maxParticles, pixelRatio, maxPixelRatio }) {
+            if (time - lastChange < COOLDOWN) return null;
+
+            const budget = 1000 / targetFps;
+            const minParticles = Math.min(MIN_PARTICLES, maxParticles);
+            const minPixelRatio = Math.min(MIN_PIXEL_RATIO, maxPixelRatio);
+            // A worker falling behind drops steps without slowing the frames down
+            const isSlow =
+                timings.frameTime > budget * SLOW_FRAME || timings.simulationTime > budget;
+            const hasHeadroom =
+                timings.frameTime < budget * SLOW_FRAME &&
+                timings.simulationTime + timings.renderTime < budget * HEADROOM;
+
+            let change = null;
+            if (isSlow) {
+                // Cut whichever costs more first: particles for the simulation, pixels for rendering
+                const canLowerParticles = particles > minParticles;
+                const canLowerPixels = pixelRatio > minPixelRatio;
+                const preferParticles = timings.simulationTime >= timings.renderTime;
+                if (canLowerParticles && (preferParticles || !canLowerPixels)) {
+                    change = {
+                        particles: Math.max(minParticles, roundParticles(particles * LOWER_FACTOR)),
+                        pixelRatio,
+                    };
+                } else if (canLowerPixels) {
+                    change = {
+                        particles,
+                        pixelRatio: Math.max(minPixelRatio, pixelRatio - PIXEL_RATIO_STEP),
+                    };
+                }
+                if (change) lastLowered = time;
+            } else if (hasHeadroom && time - lastLowered > RAISE_DELAY) {
+                // Restore sharpness before adding particles back
+                if (pixelRatio < maxPixelRatio) {
+                    change = {
+                        particles,
+                        pixelRatio: Math.min(maxPixelRatio, pixelRatio + PIXEL_RATIO_STEP),
+                    };
+                } else if (particles < maxParticles) {
+                    change = {
+                        particles: Math.min(maxParticles, roundParticles(particles * RAISE_FACTOR)),
+                        pixelRatio,
+                    };
+                }
+            }
+
+            if (change) lastChange = time;
+            return change;
+        },
+    };
+}
@@ -0,0 +1,379 @@
+import * as THREE from 'three';
+import { PLANE_SIZE } from './physics.js';
+
+// Render modes for the particles: flat points, points coloured by speed or by the
+// local field strength, an accumulated density heatmap, and fading motion trails.
+// The heatmap and trails draw into an off-screen half-float target that is faded
+// every frame instead of cleared, then shown through a palette or over the background.
+
+export const RENDER_MODES = {
+    Particles: 'points',
+    Speed: 'speed',
+    Field: 'field',
+    Density: 'density',
+    Trails: 'trails',
+};
+
+// Colour stops of each palette, from low to high values
+const PALETTE_STOPS = {
+    mono: ['#202020', '#ffffff'],
+    inferno: ['#000004', '#420a68', '#932667', '#dd513a', '#fca50a', '#fcffa4'],
+    viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+    ocean: ['#03051a', '#0b3d91', '#1f9bd1', '#7fe0e8', '#ffffff'],
+    sand: ['#2b1d0e', '#7a5230', '#c89f6a', '#f1dfb8', '#fffaf0'],
+};
+
+export const PALETTES = {
+    Mono: 'mono',
+    Inferno: 'inferno',
+    Viridis: 'viridis',
+    Ocean: 'ocean',
+    Sand: 'sand',
+};
+
+const PALETTE_SIZE = 256;
+const FIELD_RESOLUTION = 192; // Field samples per side for field colouring and nodal lines
+const SPEED_SCALE = 0.01; // Particle speed, in world units per frame, at the top of the palette
+const MIN_PALETTE_VALUE = 0.2; // Keeps slow or settled particles visible against the background
+const DENSITY_DECAY = 0.98; // Share of the heatmap kept each frame
+const SURFACE_LIFT = 0.01; // Height of particles above the 3D surface, so it does not hide them
+
+const COLOR_MODES = { points: 0, speed: 1, field: 2 };
+
+// Full-screen quads for fading and showing the accumulation target
+const quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+const QUAD_VERTEX_SHADER = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+function createPaletteTexture(name) {
+    const stops = PALETTE_STOPS[name].map((hex) => new THREE.Color(hex));
+    const data = new Uint8Array(PALETTE_SIZE * 4);
+    const color = new THREE.Color();
+    for (let i = 0; i < PALETTE_SIZE; i++) {
+        const position = (i / (PALETTE_SIZE - 1)) * (stops.length - 1);
+        const index = Math.min(Math.floor(position), stops.length - 2);
+        color.lerpColors(stops[index], stops[index + 1], position - index);
+        data.set([color.r * 255, color.g * 255, color.b * 255, 255], i * 4);
+    }
+    const texture = new THREE.DataTexture(data, PALETTE_SIZE, 1);
+    texture.magFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+function createQuadScene(material) {
+    const scene = new THREE.Scene();
+    scene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material));
+    return scene;
+}
+
+/**
+ * Whether the current settings read the sampled field, so it is worth updating
+ */
+export function needsField({ mode, nodalLines }) {
+    return mode === 'field' || nodalLines;
+}
+
+/**
+ * Create the textures and full-screen passes of one renderer. Every plate on the page
+ * has its own, since the field, palette and accumulated image belong to its view.
+ * Returns { createParticleMaterial, updateFieldTexture, resize, render, dispose }.
+ */
+export function createRenderModes() {
+    let paletteName = 'mono';
+    let paletteTexture = createPaletteTexture(paletteName);
+    let accumulationTarget = null;
+    let needsClear = true; // Accumulation target holds stale content
+    let lastMode = null;
+
+    // Signed field in red (0.5 is a node), plate mask in alpha
+    const fieldData = new Uint8Array(FIELD_RESOLUTION * FIELD_RESOLUTION * 4);
+    const fieldTexture = new THREE.DataTexture(fieldData, FIELD_RESOLUTION, FIELD_RESOLUTION);
+    fieldTexture.magFilter = THREE.LinearFilter;
+    fieldTexture.minFilter = THREE.LinearFilter;
+    fieldTexture.needsUpdate = true;
+
+    // Multiplies the target by `fade` (dst = dst * srcAlpha)
+    const fadeMaterial = new THREE.ShaderMaterial({
+        vertexShader: QUAD_VERTEX_SHADER,
+        fragmentShader: `
+            uniform float fade;
+            void main() {
+                gl_FragColor = vec4(0.0, 0.0, 0.0, fade);
+            }
+        `,
+        uniforms: { fade: { value: 1 } },
+        blending: THREE.CustomBlending,
+        blendSrc: THREE.ZeroFactor,
+        blendDst: THREE.SrcAlphaFactor,
+        depthTest: false,
+        depthWrite: false,
+    });
+    const fadeScene = createQuadScene(fadeMaterial);
+
+    // Tone-maps the heatmap through the palette, or lays the trails over the background
+    const displayMaterial = new THREE.ShaderMaterial({
+        vertexShader: QUAD_VERTEX_SHADER,
+        fragmentShader: `
+            uniform sampler2D accumulation;
+            uniform sampler2D palette;
+            uniform vec3 background;
+            uniform float exposure;
+            uniform bool isDensity;
+            varying vec2 vUv;
+            void main() {
+                vec4 value = texture2D(accumulation, vUv);
+                if (isDensity) {
+                    float level = 1.0 - exp(-value.r * exposure);
+                    vec3 color = texture2D(palette, vec2(level, 0.5)).rgb;
+                    gl_FragColor = vec4(mix(background, color, min(1.0, level * 8.0)), 1.0);
+                } else {
+                    // Trails are premultiplied by their alpha
+                    gl_FragColor = vec4(background * (1.0 - value.a) + value.rgb, 1.0);
+                }
+            }
+        `,
+        uniforms: {
+            accumulation: { value: null },
+            palette: { value: paletteTexture },
+            background: { value: new THREE.Color() },
+            exposure: { value: 1 },
+            isDensity: { value: true },
+        },
+        depthTest: false,
+        depthWrite: false,
+    });
+    const displayScene = createQuadScene(displayMaterial);
+
+    // Analytic nodal lines: the zero crossings of the sampled field, drawn a pixel or two wide
+    const overlayMaterial = new THREE.ShaderMaterial({
+        vertexShader: `
+            varying vec2 vUv;
+            void main() {
+                vUv = uv;
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }
+        `,
+        fragmentShader: `
+            uniform sampler2D field;
+            varying vec2 vUv;
+            void main() {
+                vec4 texel = texture2D(field, vUv);
+                float value = texel.r * 2.0 - 1.0;
+                float width = fwidth(value);
+                float line = 1.0 - smoothstep(0.5 * width, 1.5 * width, abs(value));
+                gl_FragColor = vec4(1.0, 0.3, 0.2, line * texel.a * 0.9);
+            }
+        `,
+        uniforms: { field: { value: fieldTexture } },
+        transparent: true,
+        depthTest: false,
+        depthWrite: false,
+    });
+    const overlayScene = new THREE.Scene();
+    overlayScene.add(
+        new THREE.Mesh(new THREE.PlaneGeometry(PLANE_SIZE, PLANE_SIZE), overlayMaterial),
+    );
+
+    return {
+        /**
+         * Material for the particle points; render settings are applied by render()
+         */
+        createParticleMaterial(pointSize) {
+            return new THREE.ShaderMaterial({
+                vertexShader: `
+                    uniform float pointSize;
+                    uniform int colorMode;
+                    uniform vec3 color;
+                    uniform sampler2D palette;
+                    uniform sampler2D field;
+                    uniform float halfSize;
+                    uniform bool onSurface;
+                    uniform float displacement;
+                    attribute vec2 velocity;
+                    varying vec3 vColor;
+                    void main() {
+                        vec2 fieldUv = position.xy / (2.0 * halfSize) + 0.5;
+                        float value = texture2D(field, fieldUv).r * 2.0 - 1.0;
+                        float level = 1.0;
+                        if (colorMode == 1) {
+                            level = length(velocity) / ${SPEED_SCALE.toFixed(4)};
+                        } else if (colorMode == 2) {
+                            level = abs(value);
+                        }
+                        level = mix(${MIN_PALETTE_VALUE.toFixed(2)}, 1.0, clamp(level, 0.0, 1.0));
+                        vColor = colorMode == 0 ? color : texture2D(palette, vec2(level, 0.5)).rgb;
+                        // Ride on the displaced surface of the 3D view, just above it
+                        vec3 displaced = position;
+                        if (onSurface) displaced.z += value * displacement + ${SURFACE_LIFT.toFixed(3)};
+                        gl_PointSize = pointSize;
+                        gl_Position = projectionMatrix * modelViewMatrix * vec4(displaced, 1.0);
+                    }
+                `,
+                fragmentShader: `
+                    uniform float opacity;
+                    varying vec3 vColor;
+                    void main() {
+                        gl_FragColor = vec4(vColor, opacity);
+                    }
+                `,
+                transparent: true,
+                depthWrite: false,
+                uniforms: {
+                    pointSize: { value: pointSize },
+                    colorMode: { value: 0 },
+                    color: { value: new THREE.Color(1, 1, 1) },
+                    opacity: { value: 0.75 },
+                    palette: { value: paletteTexture },
+                    field: { value: fieldTexture },
+                    halfSize: { value: PLANE_SIZE / 2 },
+                    onSurface: { value: false },
+                    displacement: { value: 0 },
+                },
+            });
+        },
+
+        /**
+         * Sample `field(x, y)` over the plate in normalized coordinates into the field texture.
+         * Values are scaled by the largest |f|, so the texture always spans the full range.
+         * Returns that scale, so other views of the field can match the texture.
+         */
+        updateFieldTexture(field, isInside) {
+            const values = new Float32Array(FIELD_RESOLUTION * FIELD_RESOLUTION);
+            let max = 0;
+            for (let j = 0; j < FIELD_RESOLUTION; j++) {
+                const y = ((j + 0.5) / FIELD_RESOLUTION) * 2 - 1;
+                for (let i = 0; i < FIELD_RESOLUTION; i++) {
+                    const x = ((i + 0.5) / FIELD_RESOLUTION) * 2 - 1;
+                    const value = isInside(x, y) ? field(x, y) : NaN;
+                    values[j * FIELD_RESOLUTION + i] = value;
+                    if (Math.abs(value) > max) max = Math.abs(value);
+                }
+            }
+
+            const scale = max > 0 ? 1 / max : 0;
+            values.forEach((value, index) => {
+                const inside = !Number.isNaN(value);
+                fieldData[index * 4] = inside ? Math.round((0.5 + 0.5 * value * scale) * 255) : 128;
+                fieldData[index * 4 + 3] = inside ? 255 : 0;
+            });
+            fieldTexture.needsUpdate = true;
+            return scale;
+        },
+
+        /**
+         * Match the accumulation target to the square viewport, in device pixels.
+         * The heatmap and trails are kept when the size does not change.
+         */
+        resize(size) {
+            if (accumulationTarget?.width === size) return;
+            accumulationTarget?.dispose();
+            accumulationTarget = new THREE.WebGLRenderTarget(size, size, {
+                type: THREE.HalfFloatType,
+                depthBuffer: false,
+            });
+            displayMaterial.uniforms.accumulation.value = accumulationTarget.texture;
+            needsClear = true;
+        },
+
+        /**
+         * Render one frame of `scene` in the given mode.
+         * `settings` has { mode, palette, background, trailFade, nodalLines, accumulate }.
+         * With `accumulate` false the heatmap and trails are shown as they are, without
+         * adding this frame's particles, e.g. for snapshots at another size.
+         */
+        render(renderer, scene, camera, particles, settings) {
+            const { mode, palette, background, trailFade, nodalLines } = settings;
+            const { accumulate = true } = settings;
+            const { uniforms } = particles.material;
+
+            if (palette !== paletteName) {
+                paletteTexture.dispose();
+                paletteTexture = createPaletteTexture(palette);
+                paletteName = palette;
+                uniforms.palette.value = paletteTexture;
+                displayMaterial.uniforms.palette.value = paletteTexture;
+            }
+            if (mode !== lastMode) {
+                // Start the heatmap or trails afresh rather than from another mode's leftovers
+                needsClear = true;
+                lastMode = mode;
+            }
+
+            renderer.setClearColor(background);
+            uniforms.colorMode.value = COLOR_MODES[mode] ?? 0;
+
+            if (mode === 'density' || mode === 'trails') {
+                const isDensity = mode === 'density';
+                if (accumulate) {
+                    const fade = isDensity ? DENSITY_DECAY : trailFade;
+                    const pointSize = uniforms.pointSize.value;
+
+                    renderer.setRenderTarget(accumulationTarget);
+                    if (needsClear) {
+                        renderer.setClearColor(0x000000, 0);
+                        renderer.clear();
+                        renderer.setClearColor(background);
+                        needsClear = false;
+                    }
+                    renderer.autoClear = false;
+
+                    fadeMaterial.uniforms.fade.value = fade;
+                    renderer.render(fadeScene, quadCamera);
+
+                    // Each particle adds one unit of density, or paints itself over the faded trail
+                    particles.material.blending = isDensity
+                        ? THREE.AdditiveBlending
+                        : THREE.NormalBlending;
+                    uniforms.opacity.value = isDensity ? 1 : 0.75;
+                    renderer.render(scene, camera);
+
+                    renderer.setRenderTarget(null);
+                    renderer.autoClear = true;
+
+                    // Expose so that particles spread evenly over the plate sit low in the palette
+                    const pixels = accumulationTarget.width * accumulationTarget.height;
+                    const count = particles.geometry.attributes.position.count;
+                    const averageDensity =
+                        (count * pointSize * pointSize) / pixels / (1 - DENSITY_DECAY);
+                    displayMaterial.uniforms.exposure.value =
+                        1 / Math.max(4 * averageDensity, 1e-6);
+                }
+                displayMaterial.uniforms.isDensity.value = isDensity;
+                displayMaterial.uniforms.background.value.set(background);
+                renderer.render(displayScene, quadCamera);
+            } else {
+                particles.material.blending = THREE.NormalBlending;
+                uniforms.opacity.value = 0.75;
+                renderer.render(scene, camera);
+            }
+
+            if (nodalLines) {
+                renderer.autoClear = false;
+                renderer.render(overlayScene, camera);
+                renderer.autoClear = true;
+            }
+        },
+
+        /**
+         * Free the textures, render target and full-screen passes
+         */
+        dispose() {
+            paletteTexture.dispose();
+            fieldTexture.dispose();
+            accumulationTarget?.dispose();
+            [fadeScene, displayScene, overlayScene].forEach((quadScene) => {
+                quadScene.traverse((object) => {
+                    object.geometry?.dispose();
+                    object.material?.dispose();
+                });
+            });
+        },
+    };
+}
@@ -1,52 +1,84 @@
 // Import required libraries
 import * as THREE from 'three';
-import { setupControls, PARAMS, updateControlValues } from './controls.js';
+import {
+    setupControls,
+    setupGallery,
+    setupKeymap,
+    setupModeCatalogue,
+    setupPresets,
+    setupSequencer,
+    setupTuning,
+    PARAMS,
+    updateControlValues,
+    updateMidiStatus,
+    updateNoteDisplay,
+    updateSequencerStatus,
+} from './controls.js';
+import { createModeEnergyTracker } from './analysis.js';
 import * as audio from './audio.js';
-
-// Global variables for Three.js scene
-let scene, camera, renderer, particles;
-let particlePositions, particleVelocities; // Arrays to store particle data
-
-// Constants
-const PLANE_SIZE = 2.4;
-const PI = Math.PI;
+import * as capture from './capture.js';
+import { contoursToSvg, extractContours, sampleField, simplifyPolyline } from './contours.js';
+import { downloadFile } from './files.js';
+import { createModeGallery } from './gallery.js';
+import * as input from './input.js';
+import { getBindingFrequency, getKeyBinding, getKeyBindings } from './keymap.js';
+import { connectMidi } from './midi.js';
+import { findClosestMode, findModesNearFrequency, formatMode, getModeCatalogue } from './modes.js';
+import { morphModes } from './morph.js';
+import { PARAM_SCHEMA, TUNING_SCHEMA } from './paramSchema.js';
+import * as plateView from './plateView.js';
+import { isOnPlate, superposedField } from './plates.js';
+import { getPreset, getPresetNames } from './presets.js';
+import { createPerformanceHud, createQualityGovernor } from './quality.js';
+import { createPlateScene } from './plateScene.js';
+import { needsField } from './renderModes.js';
+import * as sequencer from './sequencer.js';
+import * as simulation from './simulation.js';
+import { attachBowGesture, createPadGrid } from './touch.js';
+import {
+    calculateFrequencyFromPattern,
+    formatNote,
+    midiNoteToFrequency,
+    quantizeFrequency,
+    TUNING,
+} from './tuning.js';
+import { readParamsFromUrl, sanitizeParam, writeParamsToUrl } from './urlState.js';
+
+let plate; // Renderer, scene, camera and particles of the plate (see plateScene.js)
+
+let lastFrameTime = null; // performance.now() of the previous animation frame
+const modeEnergy = createModeEnergyTracker(); // Band energy of each sounding mode
+const qualityGovernor = createQualityGovernor();
+let activeParticles = 0; // Particle count in use, below the panel's when adaptive quality cuts it
+
+// How often the dominant frequency of an external input may change the pattern
+const MODE_FOLLOW_INTERVAL = 150; // ms
+let lastModeFollowTime = 0;
+
+// Bow speed, in plate half-widths per second, that gives the strongest vibration
+const BOW_FULL_SPEED = 4;
+// Level the bow drives the plate with at full speed, about that of a loud note
+const BOW_MAX_LEVEL = 0.5;
+let bowRestVibration = null; // Vibration strength to restore when the bow lifts
+let bowLevel = 0; // Drive of the bow while it is held, independent of the sound
+let plateViewport = null; // { left, top, width, height } of the plate on the canvas, CSS px
+
+const heldPadKeys = new Set(); // Pads held down on the touch surface
+
+// Set while a played pattern is shown in the panel, so the synth keeps the played pitch
+let isShowingPlayedPattern = false;
+let midiInput = null;
 
 /**
- * Calculate Chladni pattern value at a point (x,y)
- * Using the equation: f(x,y) = a*sin(πnx)*sin(πmy) + b*sin(πmx)*sin(πny)
- * where:
- * - m,n are mode numbers that determine the basic pattern shape
- * - a,b are amplitude coefficients that control relative strength of components
+ * Frequency the synth plays for the pattern in the panel
  */
-function chladni(x, y, m, n) {
-    // Convert from [-1,1] to [0,1] range for consistent pattern with reference
-    x = (x + 1) / 2;
-    y = (y + 1) / 2;
-
-    // First standing wave pattern: a*sin(πnx)*sin(πmy)
-    const pattern1 = Math.sin(PI * n * x) * Math.sin(PI * m * y);
-
-    // Second standing wave pattern: b*sin(πmx)*sin(πny)
-    const pattern2 = Math.sin(PI * m * x) * Math.sin(PI * n * y);
-
-    // Mix the patterns using the amplitude coefficients
-    return PARAMS.patternMixX * pattern1 + PARAMS.patternMixY * pattern2;
-}
-
-/**
- * Calculate the natural frequency for given Chladni parameters
- * Based on the physical equation f ∝ √((m² + n²)/ρ)
- * where ρ is the plate density (assumed constant)
- */
-function calculateFrequency(m, n, a, b) {
-    // Base frequency from mode numbers
-    const baseFreq = Math.sqrt(m * m + n * n) * 55; // 55Hz is A1, used as base
-
-    // Calculate mixing effect - stronger mixing (a,b) increases frequency
-    const mixingEffect = Math.sqrt(a * a + b * b);
-
-    // Return the final frequency, clamped between 20Hz and 2000Hz
-    return Math.min(Math.max(baseFreq * mixingEffect, 20), 2000);
+function getPanelFrequency() {
+    return calculateFrequencyFromPattern({
+        m: PARAMS.m,
+        n: PARAMS.n,
+        a: PARAMS.patternMixX,
+        b: PARAMS.patternMixY,
+    });
 }
 
 /**
@@ -58,7 +90,10 @@ function calculatePointSize() {
 
     const size = Math.max(container.clientWidth, container.clientHeight);
     const baseSize = 1.0;
-    return (baseSize * size) / 1000; // Normalized to a 1000px reference
+    // Points are sized in drawing buffer pixels, so keep their size on screen
+    // when adaptive quality lowers the pixel ratio
+    const pixelScale = plate.renderer.getPixelRatio() / window.devicePixelRatio;
+    return ((baseSize * size) / 1000) * pixelScale; // Normalized to a 1000px reference
 }
 
 /**
@@ -67,26 +102,17 @@ function calculatePointSize() {
 function init() {
     const container = document.getElementById('simulationContainer');
 
-    // Setup scene
-    scene = new THREE.Scene();
-    camera = new THREE.OrthographicCamera(
-        PLANE_SIZE / -2.01,
-        PLANE_SIZE / 2.01,
-        PLANE_SIZE / 2.01,
-        PLANE_SIZE / -2.01,
-        0.1,
-        100,
-    );
-    camera.position.z = 5;
-    camera.lookAt(scene.position);
+    // Setup scene and renderer
+    plate = createPlateScene();
+    container.appendChild(plate.renderer.domElement);
 
-    // Setup renderer
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setPixelRatio(window.devicePixelRatio);
-    renderer.setClearColor(0x111111);
-    container.appendChild(renderer.domElement);
+    plateView.initPlateView(plate.renderer, plate.scene);
+    plateView.setSurfaceShape(PARAMS.plateShape);
+    plateView.setPlateViewActive(PARAMS.view === '3d');
 
     // Create initial particles
+    simulation.initSimulation();
+    simulation.setPlateShape(PARAMS.plateShape);
     createParticles();
 
     // Setup window resize handler
@@ -95,218 +121,697 @@ function init() {
 }
 
 /**
- * Create or update particle system
+ * Create or update particle system with `count` particles, the panel's count by default
+ * The simulation backend preserves existing particles and respawns new ones,
+ * then hands back the position and velocity buffers to build the particles around
  */
-function createParticles() {
-    const newPositions = new Float32Array(PARAMS.particles * 3);
-    const newVelocities = new Float32Array(PARAMS.particles * 2);
+function createParticles(count = PARAMS.particles) {
+    activeParticles = count;
+    simulation.resizeSimulation(count, (positions, velocities) => {
+        plate.setParticles(positions, velocities, calculatePointSize());
+    });
+}
 
-    if (particles) {
-        // Get existing particle data
-        const currentPositions = particles.geometry.attributes.position.array;
-        const currentVelocities = particleVelocities;
-        const currentCount = currentPositions.length / 3;
+/**
+ * Handle window resize
+ */
+function onWindowResize() {
+    const container = document.getElementById('simulationContainer');
+    if (!container) return;
 
-        // Copy existing particle data
-        const preserveCount = Math.min(currentCount, PARAMS.particles);
-        for (let i = 0; i < preserveCount; i++) {
-            // Copy positions
-            newPositions[i * 3] = currentPositions[i * 3];
-            newPositions[i * 3 + 1] = currentPositions[i * 3 + 1];
-            newPositions[i * 3 + 2] = currentPositions[i * 3 + 2];
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    const size = Math.max(width, height);
+    plateViewport = {
+        left: (width - size) / 2,
+        top: (height - size) / 2,
+        width: size,
+        height: size,
+    };
 
-            // Copy velocities
-            newVelocities[i * 2] = currentVelocities[i * 2];
-            newVelocities[i * 2 + 1] = currentVelocities[i * 2 + 1];
-        }
+    // Update point size based on new window dimensions
+    plate.setPointSize(calculatePointSize());
 
-        // Initialize any additional particles near existing ones
-        for (let i = preserveCount; i < PARAMS.particles; i++) {
-            // Pick a random existing particle to spawn near
-            const sourceIdx = Math.floor(Math.random() * preserveCount);
-            const offsetScale = 0.1; // How far from source particle to spawn
+    plate.resize(width, height, size);
+    if (PARAMS.view === '3d') {
+        // The perspective view uses the whole window
+        plateView.resizePlateView(width, height);
+        plate.renderer.setViewport(0, 0, width, height);
+    }
+}
 
-            newPositions[i * 3] =
-                currentPositions[sourceIdx * 3] + (Math.random() - 0.5) * offsetScale;
-            newPositions[i * 3 + 1] =
-                currentPositions[sourceIdx * 3 + 1] + (Math.random() - 0.5) * offsetScale;
-            newPositions[i * 3 + 2] = 0;
+/**
+ * Render one frame at `size`×`size` pixels, independent of the window, and save it as PNG.
+ * The density heatmap and trails keep the screen's resolution, scaled up to the snapshot.
+ */
+async function saveSnapshot(size) {
+    if (!plate.particles) return;
+
+    const { renderer } = plate;
+    const resolution = Math.min(size, renderer.capabilities.maxTextureSize);
+    const viewport = renderer.getViewport(new THREE.Vector4());
+    const previousPixelRatio = renderer.getPixelRatio();
+
+    // Scale points with the image so the snapshot looks like the screen
+    const pointScale = resolution / (viewport.z * previousPixelRatio);
+    plate.setPointSize(calculatePointSize() * pointScale);
+    renderer.setPixelRatio(1);
+    renderer.setSize(resolution, resolution, false);
+    renderer.setViewport(0, 0, resolution, resolution);
+    plateView.resizePlateView(resolution, resolution);
+    // The heatmap and trails build up over many frames at the screen resolution, so they
+    // are scaled up as they are rather than adding one frame of snapshot-sized points
+    renderPlate(getSoundingModes(input.isExternalSource()), { accumulate: false });
+
+    // Encode before the drawing buffer is cleared, then restore the on-screen view
+    const png = capture.canvasToPng(renderer.domElement);
+    renderer.setPixelRatio(previousPixelRatio);
+    onWindowResize();
 
-            newVelocities[i * 2] = currentVelocities[sourceIdx * 2] * 0.5;
-            newVelocities[i * 2 + 1] = currentVelocities[sourceIdx * 2 + 1] * 0.5;
-        }
+    try {
+        downloadFile(await png, `cymatic-${PARAMS.m}x${PARAMS.n}-${resolution}.png`);
+    } catch (error) {
+        console.error('Error saving snapshot:', error);
+    }
+}
 
-        // Clean up old geometry and material
-        if (particles.geometry) particles.geometry.dispose();
-        if (particles.material) particles.material.dispose();
-        scene.remove(particles);
-    } else {
-        // First time creation - initialize all particles randomly
-        for (let i = 0; i < PARAMS.particles; i++) {
-            newPositions[i * 3] = (Math.random() - 0.5) * PLANE_SIZE;
-            newPositions[i * 3 + 1] = (Math.random() - 0.5) * PLANE_SIZE;
-            newPositions[i * 3 + 2] = 0;
-
-            newVelocities[i * 2] = 0;
-            newVelocities[i * 2 + 1] = 0;
+/**
+ * Trace the nodal lines of the current field and save them as SVG polylines
+ */
+function saveNodalLinesSvg() {
+    const shape = PARAMS.plateShape;
+    const modes = getSoundingModes(input.isExternalSource());
+    const resolution = PARAMS.svgResolution;
+
+    const grid = sampleField(
+        (x, y) => superposedField(shape, x, y, modes),
+        resolution,
+        (x, y) => isOnPlate(shape, x, y),
+    );
+    // A quarter of a grid cell is well below what a cutter can resolve
+    const tolerance = 0.5 / resolution;
+    const polylines = extractContours(grid).map((polyline) => ({
+        ...polyline,
+        points: simplifyPolyline(polyline.points, tolerance),
+    }));
+
+    const outline = PARAMS.svgOutline ? (shape === 'circular' ? 'circular' : 'square') : null;
+    downloadFile(
+        contoursToSvg(polylines, { outline }),
+        `cymatic-${shape}-${PARAMS.m}x${PARAMS.n}.svg`,
+        'image/svg+xml',
+    );
+}
+
+/**
+ * Start or stop recording the canvas and audio; returns whether recording is running
+ */
+async function toggleRecording() {
+    if (!capture.isRecordingSupported()) {
+        alert('Recording is not supported in this browser');
+        return false;
+    }
+    if (!capture.isRecording()) {
+        capture.startRecording(plate.renderer.domElement);
+        return true;
+    }
+    const video = await capture.stopRecording();
+    if (video) downloadFile(video, `cymatic-${Date.now()}.webm`);
+    return false;
+}
+
+/**
+ * Switch the plate to the Chladni mode closest to the dominant input frequency
+ */
+function followDominantFrequency() {
+    const now = performance.now();
+    if (now - lastModeFollowTime < MODE_FOLLOW_INTERVAL) return;
+    lastModeFollowTime = now;
+
+    const frequency = input.getDominantFrequency();
+    if (!frequency) return;
+
+    const mode = findClosestMode(frequency);
+    if (
+        mode &&
+        (mode.m !== PARAMS.m ||
+            mode.n !== PARAMS.n ||
+            mode.a !== PARAMS.patternMixX ||
+            mode.b !== PARAMS.patternMixY)
+    ) {
+        selectMode(mode);
+    }
+}
+
+/**
+ * Modes driving the plate: every voice of the synth weighted by its envelope
+ * and velocity, or the panel pattern when no voice is sounding, each with its pitch.
+ * While the patterns change, the previous modes fade out over the morph time.
+ */
+function getSoundingModes(isExternal) {
+    const voiceModes = isExternal ? [] : audio.getActiveModes();
+    const modes =
+        voiceModes.length > 0
+            ? voiceModes
+            : [
+                  {
+                      m: PARAMS.m,
+                      n: PARAMS.n,
+                      a: PARAMS.patternMixX,
+                      b: PARAMS.patternMixY,
+                      weight: 1,
+                      frequency: getPanelFrequency(),
+                  },
+              ];
+    return morphModes(modes, performance.now() / 1000, PARAMS.morphTime, PARAMS.morphEasing);
+}
+
+/**
+ * Scale each mode by the smoothed energy of the sound around its frequency,
+ * so the plate follows the balance of what is actually sounding
+ */
+function applySpectralDrive(modes, isExternal) {
+    if (!PARAMS.spectralDrive) return modes;
+    const analysis = isExternal ? input.getSpectrum() : audio.getSpectrum();
+    if (!analysis) return modes;
+    return modeEnergy.weightModes(
+        modes,
+        analysis.spectrum,
+        analysis.binWidth,
+        performance.now() / 1000,
+        {
+            attack: PARAMS.energyAttack,
+            release: PARAMS.energyRelease,
+            bandwidth: PARAMS.energyBandwidth,
+        },
+    );
+}
+
+/**
+ * Draw the particles in the selected render mode and view, resampling the field
+ * for field colouring, nodal lines and the 3D surface whenever the sounding modes change.
+ * With `accumulate` false the heatmap and trails are shown without adding this frame.
+ */
+function renderPlate(modes, { accumulate = true } = {}) {
+    const is3d = PARAMS.view === '3d';
+    const settings = {
+        accumulate,
+        // The heatmap and trails are top-down images, so the 3D view shows plain points
+        mode:
+            is3d && ['density', 'trails'].includes(PARAMS.renderMode)
+                ? 'points'
+                : PARAMS.renderMode,
+        palette: PARAMS.palette,
+        background: PARAMS.backgroundColor,
+        trailFade: PARAMS.trailFade,
+        nodalLines: PARAMS.nodalLines,
+    };
+
+    if (is3d || needsField(settings)) {
+        const shape = PARAMS.plateShape;
+        const scale = plate.updateField(shape, modes);
+        if (is3d && scale !== null) {
+            plateView.updateSurfaceHeights((x, y) => superposedField(shape, x, y, modes), scale);
         }
     }
 
-    // Create new geometry with updated particle count
-    const geometry = new THREE.BufferGeometry();
-    geometry.setAttribute('position', new THREE.BufferAttribute(newPositions, 3));
+    const { uniforms } = plate.particles.material;
+    uniforms.onSurface.value = is3d;
+    uniforms.displacement.value = is3d
+        ? plateView.updateSurface(performance.now() / 1000, PARAMS.surfaceAmplitude)
+        : 0;
 
-    // Calculate initial point size based on current window size
-    const initialPointSize = calculatePointSize();
+    plate.render(settings, is3d ? plateView.getPlateCamera() : plate.camera);
+}
 
-    // Create material with custom shaders
-    const material = new THREE.ShaderMaterial({
-        vertexShader: `
-            uniform float pointSize;
-            void main() {
-                gl_PointSize = pointSize;
-                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-            }
-        `,
-        fragmentShader: `
-            void main() {
-                gl_FragColor = vec4(1.0, 1.0, 1.0, 0.75);
+/**
+ * Switch between the flat 2D view and the 3D surface; the simulation carries on untouched
+ */
+function setView(view) {
+    plateView.setPlateViewActive(view === '3d');
+    // The surface has not been sampled for the current modes if it was hidden
+    plate.resetField();
+    onWindowResize();
+}
+
+/**
+ * Animation loop
+ */
+function animate() {
+    requestAnimationFrame(animate);
+    if (!plate.particles) return;
+
+    // Upload positions only while the worker is idle; it gets its next step, resize or
+    // reshape after this frame is rendered, so it never writes to a buffer being read
+    if (simulation.consumeUpdate()) plate.updateParticles();
+
+    const now = performance.now();
+    const frameTime = lastFrameTime === null ? 0 : now - lastFrameTime;
+    lastFrameTime = now;
+
+    // Get audio level to determine particle movement intensity
+    const isExternal = input.isExternalSource();
+    const modes = applySpectralDrive(getSoundingModes(isExternal), isExternal);
+    renderPlate(modes);
+    const renderTime = performance.now() - now;
+
+    const audioLevel = isExternal ? input.getInputLevel() : audio.getAudioLevel();
+    const isSourceActive = isExternal ? input.isInputActive() : audio.isAudioEnabled();
+    // The level is a smoothed RMS, so it crosses the threshold cleanly
+    const isAudioActive = isSourceActive && audioLevel > 0.01;
+
+    if (isExternal && isAudioActive) {
+        followDominantFrequency();
+    }
+
+    // The bow drives the plate by itself, whether or not anything is sounding
+    const level = Math.max(isSourceActive ? audioLevel : 0, bowLevel);
+
+    // The simulation runs at a fixed frame rate whatever the display's refresh rate
+    simulation.stepSimulation(frameTime / 1000, level, {
+        modes,
+        vibrationStrength: PARAMS.vibrationStrength,
+        physicsModel: PARAMS.physicsModel,
+        settleSpeed: PARAMS.settleSpeed,
+        jitter: PARAMS.jitter,
+        interaction: PARAMS.interaction,
+        interactionRadius: PARAMS.interactionRadius,
+        interactionStiffness: PARAMS.interactionStiffness,
+        interactionFriction: PARAMS.interactionFriction,
+    });
+
+    updateQuality(now, frameTime, renderTime);
+}
+
+/**
+ * Show the frame timings in the HUD and, in adaptive mode, trade particles and
+ * pixel ratio for the target frame rate
+ */
+function updateQuality(time, frameTime, renderTime) {
+    const { timings } = qualityGovernor;
+    if (frameTime > 0) {
+        qualityGovernor.record({ frameTime, simulationTime: simulation.getStepTime(), renderTime });
+    }
+
+    if (PARAMS.adaptiveQuality) {
+        const change = qualityGovernor.adjust({
+            time,
+            targetFps: PARAMS.targetFps,
+            particles: activeParticles,
+            maxParticles: PARAMS.particles,
+            pixelRatio: plate.renderer.getPixelRatio(),
+            maxPixelRatio: window.devicePixelRatio,
+        });
+        if (change) {
+            if (change.particles !== activeParticles) createParticles(change.particles);
+            if (change.pixelRatio !== plate.renderer.getPixelRatio()) {
+                setPixelRatio(change.pixelRatio);
             }
-        `,
-        transparent: true,
-        uniforms: {
-            pointSize: { value: initialPointSize },
-        },
+        }
+    }
+
+    performanceHud.update({
+        fps: timings.frameTime > 0 ? 1000 / timings.frameTime : 0,
+        simulationTime: timings.simulationTime,
+        renderTime: timings.renderTime,
+        particles: activeParticles,
+        pixelRatio: plate.renderer.getPixelRatio(),
     });
+}
 
-    // Update global references
-    particles = new THREE.Points(geometry, material);
-    particlePositions = newPositions;
-    particleVelocities = newVelocities;
+function setPixelRatio(pixelRatio) {
+    plate.renderer.setPixelRatio(pixelRatio);
+    onWindowResize();
+}
 
-    scene.add(particles);
+/**
+ * Turn adaptive quality on or off; turning it off restores the full particle count
+ * and the device's pixel ratio
+ */
+function setAdaptiveQuality(enabled) {
+    if (enabled) return;
+    if (activeParticles !== PARAMS.particles) createParticles();
+    if (plate.renderer.getPixelRatio() !== window.devicePixelRatio) {
+        setPixelRatio(window.devicePixelRatio);
+    }
 }
 
 /**
- * Handle window resize
+ * Load a mode into the panel; refreshing the controls also retunes the synth
  */
-function onWindowResize() {
-    const container = document.getElementById('simulationContainer');
-    if (!container) return;
+function selectMode(mode) {
+    PARAMS.m = mode.m;
+    PARAMS.n = mode.n;
+    PARAMS.patternMixX = mode.a;
+    PARAMS.patternMixY = mode.b;
+    updateControlValues(PARAMS);
+}
 
-    const width = container.clientWidth;
-    const height = container.clientHeight;
-    const size = Math.max(width, height);
+/**
+ * Restore the panel and tuning from the URL hash
+ */
+function readStateFromUrl() {
+    Object.assign(PARAMS, readParamsFromUrl(PARAM_SCHEMA));
+    Object.assign(TUNING, readParamsFromUrl(TUNING_SCHEMA));
+}
 
-    // Update point size based on new window dimensions
-    if (particles && particles.material.uniforms) {
-        particles.material.uniforms.pointSize.value = calculatePointSize();
+/**
+ * Write the panel and tuning to the URL hash. A Scala scale cannot be shared,
+ * so links to it play unquantized, at the modes' natural frequencies.
+ */
+function writeStateToUrl() {
+    const scale = TUNING.scale === 'scala' ? 'off' : TUNING.scale;
+    writeParamsToUrl({ ...PARAMS, ...TUNING, scale }, { ...PARAM_SCHEMA, ...TUNING_SCHEMA });
+}
+
+// Restore the state from a shared link before the controls read it
+readStateFromUrl();
+
+/**
+ * Show a pattern played from a key or MIDI note in the panel
+ */
+function showPlayedPattern(pattern) {
+    isShowingPlayedPattern = true;
+    try {
+        selectMode(pattern);
+    } finally {
+        isShowingPlayedPattern = false;
+    }
+}
+
+/**
+ * Play a MIDI note at its own pitch and show the closest Chladni mode on the plate
+ */
+function handleMidiNoteOn(note, velocity) {
+    // Keys outside the scale snap to the nearest scale degree
+    const frequency = quantizeFrequency(midiNoteToFrequency(note));
+    const mode = findClosestMode(frequency);
+    if (!mode) return;
+
+    const pattern = audio.handleNoteOn(note, frequency, { ...mode, type: 'midi' }, velocity);
+    if (pattern) {
+        showPlayedPattern(pattern);
+        updateNoteDisplay(formatNote(frequency));
     }
+}
 
-    camera.updateProjectionMatrix();
-    renderer.setSize(width, height);
-    renderer.setViewport((width - size) / 2, (height - size) / 2, size, size);
+function handleMidiNoteOff(note) {
+    const pattern = audio.handleNoteOff(note);
+    if (pattern) showPlayedPattern(pattern);
 }
 
 /**
- * Animation loop
+ * Apply a MIDI controller to every parameter it is assigned to
  */
-function animate() {
-    requestAnimationFrame(animate);
-    if (!particles || !particlePositions || !particleVelocities) return;
+function handleMidiControlChange(controller, value) {
+    const assignments = {
+        vibrationStrength: PARAMS.midiVibrationCC,
+        patternMixX: PARAMS.midiMixXCC,
+        patternMixY: PARAMS.midiMixYCC,
+    };
+    for (const [key, assigned] of Object.entries(assignments)) {
+        if (assigned === 0 || assigned !== controller) continue;
+        const { min, max } = PARAM_SCHEMA[key];
+        PARAMS[key] = sanitizeParam(PARAM_SCHEMA[key], min + value * (max - min));
+        updateControlValues({ [key]: PARAMS[key] });
+    }
+}
 
-    const positions = particles.geometry.attributes.position.array;
-    const velocities = particleVelocities;
+async function connectMidiInput() {
+    if (midiInput) return;
+    updateMidiStatus('Connecting...');
+    midiInput = await connectMidi({
+        onNoteOn: handleMidiNoteOn,
+        onNoteOff: handleMidiNoteOff,
+        onControlChange: handleMidiControlChange,
+        onInputsChange: (names) => {
+            updateMidiStatus(names.length > 0 ? names.join(', ') : 'No devices');
+        },
+    });
+    if (!midiInput) updateMidiStatus('Unavailable');
+}
 
-    // Get audio level to determine particle movement intensity
-    const audioLevel = audio.getAudioLevel();
-    const isAudioActive = audio.isAudioEnabled() && audioLevel > 0.01; // Increased threshold for more responsive stopping
-
-    // Update each particle
-    for (let i = 0; i < PARAMS.particles; i++) {
-        let x = positions[i * 3];
-        let y = positions[i * 3 + 1];
-        let vx = velocities[i * 2];
-        let vy = velocities[i * 2 + 1];
-
-        // Convert to normalized coordinates [-1, 1]
-        const x_norm = x / (PLANE_SIZE / 2);
-        const y_norm = y / (PLANE_SIZE / 2);
-
-        if (isAudioActive) {
-            // Calculate Chladni value at current position
-            const value = chladni(x_norm, y_norm, PARAMS.m, PARAMS.n);
-
-            // Add force based on Chladni value with more randomness and wider spread
-            const force = value * PARAMS.vibrationStrength * (1 + audioLevel * 2);
-            const randomAngle = Math.random() * Math.PI * 2;
-            const randomness = 0.07;
-            vx += force * Math.cos(randomAngle) * randomness;
-            vy += force * Math.sin(randomAngle) * randomness;
-
-            // Apply normal damping during active sound
-            vx *= 0.85;
-            vy *= 0.85;
+/**
+ * Start or stop the synth from the Sound button
+ */
+async function handlePlayingChange(value) {
+    try {
+        if (value) {
+            const freq = getPanelFrequency();
+            await audio.startAudio(freq, PARAMS.volume);
+            // Simulate space key press to form the pattern
+            if (audio.isAudioEnabled()) {
+                audio.handleKeyDown({ key: 'SPACE' });
+                // Automatically release after 0.7 seconds
+                setTimeout(() => {
+                    if (audio.isAudioEnabled()) {
+                        audio.handleKeyUp({ key: 'SPACE' });
+                    }
+                }, 450);
+            }
         } else {
-            // When no sound, apply immediate velocity reduction
-            // First, apply a strong initial reduction to quickly slow down fast-moving particles
-            vx *= 0.85;
-            vy *= 0.85;
-
-            // Then apply additional damping for particles still moving
-            const speed = Math.sqrt(vx * vx + vy * vy);
-            if (speed > 0.001) {
-                const dampingFactor = Math.max(0.5, 1 - speed * 2);
-                vx *= dampingFactor;
-                vy *= dampingFactor;
-            } else {
-                // If moving very slowly, stop completely
-                vx = 0;
-                vy = 0;
+            // The sequencer has nothing to play without sound
+            sequencer.stopSequencer();
+            updateSequencerStatus();
+            audio.stopAudio();
+            // Release space key when sound is toggled off
+            if (audio.isAudioEnabled()) {
+                audio.handleKeyUp({ key: 'SPACE' });
             }
         }
+    } catch (error) {
+        console.error('Error handling audio state change:', error);
+        PARAMS.isPlaying = false;
+    }
+}
+
+/**
+ * Resolve a sequencer step's pattern reference ('key:A' or 'preset:Name') to a pattern
+ */
+function resolvePatternReference(reference) {
+    const [kind, name] = reference.split(/:(.*)/s);
+    if (kind === 'key') {
+        const binding = getKeyBinding(name);
+        if (!binding) return null;
+        // Keys bound to the panel pattern play whatever the panel shows when the step sounds
+        return binding.pattern
+            ? { ...binding.pattern }
+            : {
+                  m: PARAMS.m,
+                  n: PARAMS.n,
+                  a: PARAMS.patternMixX,
+                  b: PARAMS.patternMixY,
+                  type: 'current',
+              };
+    }
+    if (kind === 'preset') {
+        const preset = getPreset(name);
+        if (!preset) return null;
+        const { m, n, patternMixX, patternMixY } = { ...PARAMS, ...preset.params };
+        return { m, n, a: patternMixX, b: patternMixY, type: 'preset' };
+    }
+    return null;
+}
 
-        // Update position
-        x += vx;
-        y += vy;
+/**
+ * Pitch a sequencer step plays with its resolved pattern: a piano key's own note,
+ * or the pattern's pitch
+ */
+function getReferenceFrequency(reference, pattern) {
+    const [kind, name] = reference.split(/:(.*)/s);
+    const binding = kind === 'key' ? getKeyBinding(name) : null;
+    return binding ? getBindingFrequency(binding, pattern) : calculateFrequencyFromPattern(pattern);
+}
 
-        // Boundary conditions (bounce off edges with some energy loss)
-        const bound = PLANE_SIZE / 2 - 0.01;
-        const bounceDamping = 0.7; // Energy loss on bounce
-        if (Math.abs(x) > bound) {
-            x = Math.sign(x) * bound;
-            vx *= -bounceDamping;
-        }
-        if (Math.abs(y) > bound) {
-            y = Math.sign(y) * bound;
-            vy *= -bounceDamping;
-        }
+/**
+ * Patterns a sequencer step can play: the mapped keys and the saved presets
+ */
+function getStepPatternOptions() {
+    return [
+        { text: 'Rest', value: '' },
+        ...getKeyBindings().map(({ key }) => ({ text: key, value: `key:${key}` })),
+        ...getPresetNames().map((name) => ({ text: name, value: `preset:${name}` })),
+    ];
+}
+
+/**
+ * Start or stop the sequencer, turning the sound on first if needed
+ */
+async function handleSequencerPlayingChange(playing) {
+    if (!playing) {
+        sequencer.stopSequencer();
+        return;
+    }
+    if (!PARAMS.isPlaying) {
+        PARAMS.isPlaying = true;
+        updateControlValues({ isPlaying: true });
+        await handlePlayingChange(true);
+    }
+    sequencer.startSequencer(
+        (step, index, time) => {
+            const pattern = resolvePatternReference(step.pattern);
+            if (!pattern) return;
+            const frequency = getReferenceFrequency(step.pattern, pattern);
+            audio.playPattern(pattern, step.duration, step.velocity, time, frequency);
+        },
+        (step) => {
+            const pattern = resolvePatternReference(step.pattern);
+            if (pattern && audio.isAudioEnabled()) showPlayedPattern(pattern);
+        },
+    );
+}
+
+/**
+ * Show the pitch of the panel pattern and retune the synth when the pattern or tuning changes
+ */
+function updatePanelPitch() {
+    const frequency = getPanelFrequency();
+    updateNoteDisplay(formatNote(frequency));
+    if (PARAMS.isPlaying && audio.isAudioEnabled() && !isShowingPlayedPattern) {
+        audio.updateFrequency(frequency);
+    }
+}
+
+/**
+ * Preview the panel's coefficients and plate shape in the gallery, highlighting the panel mode
+ */
+function updateGallery() {
+    modeGallery.update({
+        shape: PARAMS.plateShape,
+        a: PARAMS.patternMixX,
+        b: PARAMS.patternMixY,
+        m: PARAMS.m,
+        n: PARAMS.n,
+    });
+}
 
-        // Store updated values
-        positions[i * 3] = x;
-        positions[i * 3 + 1] = y;
-        velocities[i * 2] = vx;
-        velocities[i * 2 + 1] = vy;
+/**
+ * Load a mode picked in the gallery and play it, turning the sound on first if needed
+ */
+async function playGalleryMode(mode) {
+    selectMode(mode);
+    if (!PARAMS.isPlaying) {
+        PARAMS.isPlaying = true;
+        updateControlValues({ isPlaying: true });
+        // Turning the sound on plays the panel pattern, which is now the picked mode
+        await handlePlayingChange(true);
+    } else if (audio.isAudioEnabled()) {
+        audio.playPattern({ ...mode, type: 'gallery' }, '4n', 1);
     }
+}
+
+/**
+ * Play the pattern bound to a key and show it in the panel
+ */
+function pressKey(key) {
+    if (!audio.isAudioEnabled() && !PARAMS.isPlaying) return;
+    const pattern = audio.handleKeyDown({ key });
+    if (pattern) showPlayedPattern(pattern);
+}
 
-    particles.geometry.attributes.position.needsUpdate = true;
-    renderer.render(scene, camera);
+/**
+ * Release a key; the panel shows the pattern of the key still held, if any
+ */
+function releaseKey(key) {
+    if (!audio.isAudioEnabled()) return;
+    const pattern = audio.handleKeyUp({ key });
+    if (pattern) showPlayedPattern(pattern);
+}
+
+/**
+ * Press a pad, turning the sound on first: on touch screens the tap is the
+ * user gesture the browser needs before audio can start
+ */
+async function pressPad(key) {
+    heldPadKeys.add(key);
+    if (!PARAMS.isPlaying) {
+        PARAMS.isPlaying = true;
+        updateControlValues({ isPlaying: true });
+        await audio.startAudio(getPanelFrequency(), PARAMS.volume);
+        // The pad may have been let go while audio was starting
+        if (!heldPadKeys.has(key)) return;
+    }
+    pressKey(key);
+}
+
+function releasePad(key) {
+    heldPadKeys.delete(key);
+    releaseKey(key);
+}
+
+/**
+ * Excite the plate from the bow gesture: the pointer position sets the
+ * wave coefficients, and its speed sets the vibration strength and drives the plate
+ */
+function bowPlate({ x, y, speed }) {
+    // In the 3D view, dragging orbits the camera instead
+    if (!PARAMS.bowGesture || PARAMS.view === '3d') return;
+    if (bowRestVibration === null) bowRestVibration = PARAMS.vibrationStrength;
+
+    const intensity = Math.min(1, speed / BOW_FULL_SPEED);
+    bowLevel = BOW_MAX_LEVEL * intensity;
+
+    const { min, max } = PARAM_SCHEMA.vibrationStrength;
+    const values = {
+        patternMixX: sanitizeParam(PARAM_SCHEMA.patternMixX, x * PARAM_SCHEMA.patternMixX.max),
+        patternMixY: sanitizeParam(PARAM_SCHEMA.patternMixY, y * PARAM_SCHEMA.patternMixY.max),
+        vibrationStrength: sanitizeParam(
+            PARAM_SCHEMA.vibrationStrength,
+            min + (max - min) * intensity,
+        ),
+    };
+
+    // Only refresh the controls that changed, since refreshing retunes the synth
+    const changed = Object.fromEntries(
+        Object.entries(values).filter(([key, value]) => PARAMS[key] !== value),
+    );
+    if (Object.keys(changed).length === 0) return;
+    Object.assign(PARAMS, changed);
+    updateControlValues(changed);
+}
+
+/**
+ * Let the plate settle back to its vibration strength from before the bow
+ */
+function endBow() {
+    bowLevel = 0;
+    if (bowRestVibration === null) return;
+    PARAMS.vibrationStrength = bowRestVibration;
+    bowRestVibration = null;
+    updateControlValues({ vibrationStrength: PARAMS.vibrationStrength });
+}
+
+/**
+ * Whether a key event comes from a text field, such as the keymap editor's
+ */
+function isTextInput(target) {
+    return target instanceof HTMLElement && target.matches('input, textarea, [contenteditable]');
 }
 
+// On-screen pads mirroring the keymap, for touch screens
+const padGrid = createPadGrid({ onPress: pressPad, onRelease: releasePad });
+padGrid.update(getKeyBindings());
+padGrid.setVisible(PARAMS.showPads);
+
+const performanceHud = createPerformanceHud();
+performanceHud.setVisible(PARAMS.showPerformance);
+
+const modeGallery = createModeGallery({ maxMode: PARAM_SCHEMA.m.max, onSelect: playGalleryMode });
+updateGallery();
+
 // Setup controls
-setupControls({
+const pane = setupControls({
     onPatternChange: () => {
-        // Update audio frequency when pattern parameters change
-        if (PARAMS.isPlaying && audio.isAudioEnabled()) {
-            const newFreq = calculateFrequency(
-                PARAMS.m,
-                PARAMS.n,
-                PARAMS.patternMixX,
-                PARAMS.patternMixY,
-            );
-            audio.updateFrequency(newFreq);
-        }
+        updatePanelPitch();
+        updateGallery();
+    },
+    onPlateShapeChange: (value) => {
+        simulation.setPlateShape(value);
+        plateView.setSurfaceShape(value);
+        plate.resetField();
+        updateGallery();
     },
+    onViewChange: setView,
     onVibrationChange: () => {
         // Vibration strength updated
     },
@@ -317,39 +822,75 @@ setupControls({
         if (PARAMS.isPlaying && audio.isAudioEnabled()) {
             audio.updateVolume(value);
         }
+        input.updateVolume(value);
     },
-    onPlayingChange: async (value) => {
-        try {
-            if (value) {
-                const freq = calculateFrequency(
-                    PARAMS.m,
-                    PARAMS.n,
-                    PARAMS.patternMixX,
-                    PARAMS.patternMixY,
-                );
-                await audio.startAudio(freq, PARAMS.volume);
-                // Simulate space key press to form the pattern
-                if (audio.isAudioEnabled()) {
-                    audio.handleKeyDown({ key: 'SPACE' });
-                    // Automatically release after 0.7 seconds
-                    setTimeout(() => {
-                        if (audio.isAudioEnabled()) {
-                            audio.handleKeyUp({ key: 'SPACE' });
-                        }
-                    }, 450);
-                }
-            } else {
-                audio.stopAudio();
-                // Release space key when sound is toggled off
-                if (audio.isAudioEnabled()) {
-                    audio.handleKeyUp({ key: 'SPACE' });
-                }
-            }
-        } catch (error) {
-            console.error('Error handling audio state change:', error);
-            PARAMS.isPlaying = false;
+    onSynthVoiceChange: (value) => {
+        audio.setSynthVoice(value);
+    },
+    onEffectsChange: () => {
+        audio.updateEffects();
+    },
+    onInputSourceChange: (value) => {
+        input.setInputSource(value);
+    },
+    onAudioFileSelect: async (file) => {
+        await input.loadAudioFile(file, PARAMS.volume);
+        // Loading a file implies the user wants to hear it drive the plate.
+        // Refreshing the control fires onInputSourceChange, which starts playback.
+        if (PARAMS.inputSource !== 'file') {
+            PARAMS.inputSource = 'file';
+            updateControlValues(PARAMS);
         }
     },
+    onMidiConnect: connectMidiInput,
+    onRecordToggle: toggleRecording,
+    onSnapshot: saveSnapshot,
+    onExportSvg: saveNodalLinesSvg,
+    onPlayingChange: handlePlayingChange,
+    onShowPadsChange: (value) => padGrid.setVisible(value),
+    onShowPerformanceChange: (value) => performanceHud.setVisible(value),
+    onAdaptiveQualityChange: setAdaptiveQuality,
+});
+
+setupTuning(pane, {
+    onTuningChange: () => {
+        updatePanelPitch();
+        // Quantized pitches change the gallery's frequency labels and filters
+        modeGallery.refresh();
+    },
+});
+updatePanelPitch();
+setupKeymap(pane, {
+    // Closest mode to the note in the current tuning
+    findModeForNote: (note) => findClosestMode(quantizeFrequency(midiNoteToFrequency(note))),
+    onSelect: selectMode,
+    onChange: () => padGrid.update(getKeyBindings()),
+});
+setupPresets(pane);
+setupSequencer(pane, {
+    getPatternOptions: getStepPatternOptions,
+    onPlayingChange: handleSequencerPlayingChange,
+});
+
+// Keep the URL in sync with the panel, and the panel with hand-edited URLs
+// Changes in every folder, the tuning's included, reach the pane's change event
+pane.on('change', writeStateToUrl);
+window.addEventListener('hashchange', () => {
+    readStateFromUrl();
+    // Refreshing fires the change callbacks, so audio and particles follow
+    pane.refresh();
+});
+
+setupGallery(pane, {
+    onOpen: () => modeGallery.setOpen(true),
+    onChange: () => modeGallery.refresh(),
+});
+
+setupModeCatalogue(pane, {
+    catalogue: getModeCatalogue(),
+    findModes: findModesNearFrequency,
+    formatMode,
+    onSelect: selectMode,
 });
 
 // Initialize and start animation
@@ -359,16 +900,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Add keyboard event listeners
     document.addEventListener('keydown', (event) => {
+        // Typing in the panel's text fields must not play patterns
+        if (isTextInput(event.target)) return;
+
         // Handle space key for temporary sound with current parameters
         if (event.code === 'Space' && !event.repeat) {
             event.preventDefault(); // Prevent page scrolling
             if (audio.isAudioEnabled()) {
-                const freq = calculateFrequency(
-                    PARAMS.m,
-                    PARAMS.n,
-                    PARAMS.patternMixX,
-                    PARAMS.patternMixY,
-                );
+                const freq = getPanelFrequency();
                 // Trigger sound with current parameters
                 audio.updateFrequency(freq);
                 audio.handleKeyDown({ key: 'SPACE' });
@@ -377,21 +916,12 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         // Handle other keys as before
-        if (audio.isAudioEnabled() || PARAMS.isPlaying) {
-            const pattern = audio.handleKeyDown(event);
-            if (pattern) {
-                // Update UI controls
-                PARAMS.m = pattern.m;
-                PARAMS.n = pattern.n;
-                PARAMS.patternMixX = pattern.a;
-                PARAMS.patternMixY = pattern.b;
-                // Refresh the control UI
-                updateControlValues(PARAMS);
-            }
-        }
+        if (!event.repeat) pressKey(event.key);
     });
 
     document.addEventListener('keyup', (event) => {
+        if (isTextInput(event.target)) return;
+
         // Handle space key release
         if (event.code === 'Space') {
             if (audio.isAudioEnabled()) {
@@ -401,17 +931,13 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         // Handle other keys as before
-        if (audio.isAudioEnabled()) {
-            const pattern = audio.handleKeyUp(event);
-            if (pattern) {
-                // Update UI controls to show current active pattern
-                PARAMS.m = pattern.m;
-                PARAMS.n = pattern.n;
-                PARAMS.patternMixX = pattern.a;
-                PARAMS.patternMixY = pattern.b;
-                // Refresh the control UI
-                updateControlValues(PARAMS);
-            }
-        }
+        releaseKey(event.key);
+    });
+
+    // Bow the plate by dragging on the canvas
+    attachBowGesture(plate.renderer.domElement, {
+        getViewport: () => plateViewport,
+        onBow: bowPlate,
+        onBowEnd: endBow,
     });
 });
@@ -0,0 +1,98 @@
+import * as Tone from 'tone';
+
+// Pattern step sequencer running on the Tone.js transport.
+// The grid advances every sixteenth note; each step's duration is how long its note holds.
+
+export const MAX_STEPS = 16;
+const STEP_INTERVAL = '16n';
+
+export const STEP_DURATIONS = {
+    '1/16': '16n',
+    '1/8': '8n',
+    '1/4': '4n',
+    '1/2': '2n',
+    '1 bar': '1m',
+};
+
+// Transport settings edited from the panel
+export const SEQUENCER = {
+    bpm: 120,
+    swing: 0, // 0 = straight, 1 = full triplet swing on the off-beat sixteenths
+    length: 8, // Number of steps in the loop
+    isPlaying: false,
+};
+
+// Each step holds a pattern reference ('' for a rest), a note duration and a velocity.
+// Pattern references are resolved when the step plays, so edits apply on the next loop.
+export const steps = Array.from({ length: MAX_STEPS }, () => ({
+    pattern: '',
+    duration: '8n',
+    velocity: 0.8,
+}));
+
+let repeatId = null; // Transport event of the running sequence
+let stepIndex = 0; // Next step to play
+let stepListener = null; // Called with the sounding step on every change
+
+/**
+ * Apply tempo and swing to the transport; safe to call while playing
+ */
+export function updateTransport() {
+    const transport = Tone.getTransport();
+    transport.bpm.value = SEQUENCER.bpm;
+    transport.swing = SEQUENCER.swing;
+    transport.swingSubdivision = STEP_INTERVAL;
+}
+
+/**
+ * Start the loop. For each non-empty step, `onStep(step, index, time)` is called
+ * ahead of time with the audio context time the step should sound at, and
+ * `onShow(step, index)` is called on an animation frame when it is heard.
+ */
+export function startSequencer(onStep, onShow) {
+    if (repeatId !== null) return;
+
+    const transport = Tone.getTransport();
+    updateTransport();
+    stepIndex = 0;
+
+    repeatId = transport.scheduleRepeat((time) => {
+        const index = stepIndex % SEQUENCER.length;
+        stepIndex = index + 1;
+        const step = steps[index];
+
+        if (step.pattern) {
+            onStep(step, index, time);
+        }
+
+        // Update visuals when the step is heard, not when it is scheduled
+        Tone.getDraw().schedule(() => {
+            stepListener?.(index);
+            if (step.pattern) onShow?.(step, index);
+        }, time);
+    }, STEP_INTERVAL);
+
+    transport.start();
+    SEQUENCER.isPlaying = true;
+}
+
+export function stopSequencer() {
+    if (repeatId === null) return;
+
+    const transport = Tone.getTransport();
+    transport.clear(repeatId);
+    transport.stop();
+    // Drop visuals of steps that were scheduled but will not be heard
+    Tone.getDraw().cancel(0);
+    repeatId = null;
+    stepListener?.(-1);
+    SEQUENCER.isPlaying = false;
+}
+
+/**
+ * Call `listener(index)` on an animation frame whenever the sounding step changes,
+ * with -1 once the sequencer stops
+ */
+export function setStepListener(listener) {
+    stepListener = listener;
+}
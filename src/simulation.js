@@ -0,0 +1,186 @@
+import { createSimulationCore } from './simulationCore.js';
+
+// The particle step runs in a worker when the page is cross-origin isolated,
+// which is required for SharedArrayBuffer. Otherwise it runs on the main thread.
+// Either way the particles are driven by a simulation core (see simulationCore.js).
+// The worker writes to the shared buffers while it handles a step, resize or reshape,
+// so the renderer only reads them, and new buffers are only handed over, once the
+// worker has answered every message sent to it. Messages are only sent from
+// stepSimulation(), after the frame has been rendered.
+export const isWorkerSupported =
+    typeof Worker !== 'undefined' &&
+    typeof SharedArrayBuffer !== 'undefined' &&
+    globalThis.crossOriginIsolated === true;
+
+let worker = null;
+let core = null; // Simulation core on the main thread, when there is no worker
+let seed = 0; // Seed of the random number generator of the core
+let positions = null; // Float32Array of x,y,z per particle
+let velocities = null; // Float32Array of vx,vy per particle
+let pendingReplies = 0; // Messages the worker has not answered yet, so it may be writing
+let skippedTime = 0; // Seconds of frames skipped while the worker was busy
+let stepTime = 0; // ms the last step that advanced the particles took, wherever it ran
+let hasUpdate = false; // Positions changed since the last render
+let onResized = null; // Callback for the latest resize request
+let hasNewBuffers = false; // Worker resized, but the buffers are not handed over yet
+let queuedMessages = []; // Resizes and reshapes waiting for the next stepSimulation()
+let requestedCount = 0; // Particle count of the latest resize request
+let plateShape = 'square'; // Shape new particles are scattered over
+
+/**
+ * Simulation core on the main thread, created on first use
+ */
+function getLocalCore() {
+    core ??= createSimulationCore({ seed, shape: plateShape });
+    return core;
+}
+
+/**
+ * Post a message that makes the worker write to the particle buffers
+ */
+function postToWorker(message) {
+    pendingReplies++;
+    worker.postMessage(message);
+}
+
+/**
+ * Queue a resize or reshape for the next stepSimulation(). Before the first buffers
+ * arrive nothing reads them, so the message goes out right away.
+ */
+function sendToWorker(message) {
+    if (positions) queuedMessages.push(message);
+    else postToWorker(message);
+}
+
+function handleWorkerMessage({ data }) {
+    pendingReplies--;
+    if (data.type === 'resized') {
+        positions = data.positions;
+        velocities = data.velocities;
+        hasNewBuffers = true;
+        hasUpdate = true;
+    } else if (data.type === 'reshaped') {
+        hasUpdate = true;
+    } else if (data.type === 'stepped' && data.frames > 0) {
+        stepTime = data.time;
+        hasUpdate = true;
+    }
+
+    // A step may already be writing to buffers that just arrived, so wait until it is done
+    if (hasNewBuffers && pendingReplies === 0) {
+        hasNewBuffers = false;
+        onResized?.(positions, velocities);
+    }
+}
+
+/**
+ * Start the simulation backend. Runs with the same `seed` give the same particles;
+ * by default every page load is different.
+ */
+export function initSimulation(initialSeed = Math.floor(Math.random() * 2 ** 32)) {
+    seed = initialSeed;
+    if (!isWorkerSupported || worker) return;
+
+    try {
+        worker = new Worker(new URL('./simulation.worker.js', import.meta.url), {
+            type: 'module',
+        });
+        worker.onmessage = handleWorkerMessage;
+        worker.postMessage({ type: 'init', seed, shape: plateShape });
+        worker.onerror = (error) => {
+            console.error('Simulation worker failed, falling back to main thread:', error);
+            worker.terminate();
+            worker = null;
+            pendingReplies = 0;
+            hasNewBuffers = false;
+            queuedMessages = [];
+            // The worker's particles went with it, so start over on the main thread
+            resizeSimulation(requestedCount, onResized);
+        };
+    } catch (error) {
+        console.warn('Could not start simulation worker:', error);
+        worker = null;
+    }
+}
+
+/**
+ * Resize the particle buffers, preserving existing particles and respawning
+ * new ones near them. `callback(positions, velocities)` receives the new buffers
+ * once they are ready, which is asynchronous when the worker is used: the worker
+ * resizes on the next stepSimulation() and the buffers follow once it is idle.
+ */
+export function resizeSimulation(count, callback) {
+    onResized = callback;
+    requestedCount = count;
+
+    if (worker) {
+        sendToWorker({ type: 'resize', count });
+        return;
+    }
+
+    ({ positions, velocities } = getLocalCore().resize(count));
+    hasUpdate = true;
+    callback?.(positions, velocities);
+}
+
+/**
+ * Change the plate shape, moving particles that are now off the plate back onto it
+ */
+export function setPlateShape(shape) {
+    plateShape = shape;
+
+    if (worker) {
+        sendToWorker({ type: 'reshape', shape });
+        return;
+    }
+
+    getLocalCore().setShape(shape);
+    hasUpdate = true;
+}
+
+/**
+ * Request a simulation step of `dt` seconds at the given audio level.
+ * `params` carries the sounding modes and physics settings, as for the core's setParams().
+ */
+export function stepSimulation(dt, audioLevel, params) {
+    if (worker) {
+        queuedMessages.forEach(postToWorker);
+        queuedMessages = [];
+        // Skip the frame rather than queueing steps behind a slow worker;
+        // the next step makes up for the time
+        if (pendingReplies > 0) {
+            skippedTime += dt;
+            return;
+        }
+        postToWorker({ type: 'step', dt: dt + skippedTime, audioLevel, params });
+        skippedTime = 0;
+        return;
+    }
+
+    const localCore = getLocalCore();
+    const start = performance.now();
+    localCore.setParams(params);
+    if (localCore.step(dt, audioLevel) > 0) {
+        stepTime = performance.now() - start;
+        hasUpdate = true;
+    }
+}
+
+/**
+ * Time in ms the last simulation step that advanced the particles took,
+ * in the worker or on the main thread
+ */
+export function getStepTime() {
+    return stepTime;
+}
+
+/**
+ * Returns true once per completed step, so the renderer knows to upload positions.
+ * Stays false while the worker is writing to the buffers.
+ */
+export function consumeUpdate() {
+    if (pendingReplies > 0) return false;
+    const updated = hasUpdate;
+    hasUpdate = false;
+    return updated;
+}
@@ -0,0 +1,41 @@
+import { createSimulationCore } from './simulationCore.js';
+
+// Particle buffers live in SharedArrayBuffers so the renderer can read them
+// without copying. The worker is the only writer.
+let core = null;
+
+function allocateShared(length) {
+    return new Float32Array(new SharedArrayBuffer(length * Float32Array.BYTES_PER_ELEMENT));
+}
+
+self.onmessage = ({ data }) => {
+    switch (data.type) {
+        case 'init': {
+            core = createSimulationCore({
+                seed: data.seed,
+                shape: data.shape,
+                allocate: allocateShared,
+            });
+            break;
+        }
+        case 'resize': {
+            const { positions, velocities } = core.resize(data.count);
+            self.postMessage({ type: 'resized', positions, velocities });
+            break;
+        }
+        case 'reshape': {
+            core.setShape(data.shape);
+            self.postMessage({ type: 'reshaped' });
+            break;
+        }
+        case 'step': {
+            const start = performance.now();
+            core.setParams(data.params);
+            const frames = core.step(data.dt, data.audioLevel);
+            self.postMessage({ type: 'stepped', frames, time: performance.now() - start });
+            break;
+        }
+        default:
+            console.warn('Unknown simulation message:', data.type);
+    }
+};
@@ -0,0 +1,182 @@
+// Headless particle simulation: all of its state lives in one object and every
+// random number comes from a seeded generator, so the same seed, parameters and
+// sequence of steps always give the same particles. It only depends on the physics
+// and plate modules, and runs the same in the browser, the worker and Node.
+import { repelParticles, reshapeParticles, resizeParticles, stepParticles } from './physics.js';
+import { createSpatialHash } from './spatialHash.js';
+
+export const SNAPSHOT_VERSION = 1;
+
+export const FRAME_TIME = 1 / 60; // Seconds per physics frame; step() runs whole frames
+const MAX_FRAMES_PER_STEP = 4; // Time beyond this is dropped rather than caught up
+const ACTIVE_LEVEL = 0.01; // Audio level above which the plate counts as vibrating
+
+const DEFAULT_PARAMS = {
+    modes: [{ m: 3, n: 2, a: 1, b: 1, weight: 1 }],
+    vibrationStrength: 0.1,
+    physicsModel: 'diffuse',
+    settleSpeed: 1,
+    jitter: 0.2,
+    interaction: false, // Particles push each other apart, see repelParticles()
+    interactionRadius: 0.01,
+    interactionStiffness: 0.5,
+    interactionFriction: 0.2,
+};
+
+function allocateLocal(length) {
+    return new Float32Array(length);
+}
+
+/**
+ * Next value in [0, 1) of the mulberry32 generator whose 32-bit state is `state.rng`
+ */
+function nextRandom(state) {
+    state.rng = (state.rng + 0x6d2b79f5) | 0;
+    let t = state.rng;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Create a simulation of `count` particles on a plate of the given `shape`.
+ * `seed` is any 32-bit integer, `params` overrides the default modes and physics
+ * settings (see setParams), and `allocate(length)` returns the Float32Arrays to
+ * store particles in, so the worker can use shared memory.
+ *
+ * The returned object exposes the live `state` and the methods below. Positions are
+ * x,y,z per particle and velocities vx,vy, both in world units.
+ */
+export function createSimulationCore({
+    count = 0,
+    shape = 'square',
+    seed = 1,
+    params = {},
+    allocate = allocateLocal,
+} = {}) {
+    const state = {
+        shape,
+        params: { ...DEFAULT_PARAMS, ...params },
+        positions: null,
+        velocities: null,
+        rng: seed | 0,
+        time: 0, // Simulated seconds
+        lag: 0, // Seconds passed to step() that did not fill a whole frame yet
+    };
+    const random = () => nextRandom(state);
+    const hash = createSpatialHash(); // Scratch space for the particle interaction
+
+    const core = {
+        state,
+
+        /**
+         * Resize to `count` particles, keeping existing ones and spawning new ones
+         * near them. Returns the new { positions, velocities } buffers.
+         */
+        resize(count) {
+            ({ positions: state.positions, velocities: state.velocities } = resizeParticles(
+                state.positions,
+                state.velocities,
+                count,
+                state.shape,
+                allocate,
+                random,
+            ));
+            return { positions: state.positions, velocities: state.velocities };
+        },
+
+        /**
+         * Change the plate shape, moving particles that are now off the plate back onto it
+         */
+        setShape(shape) {
+            state.shape = shape;
+            if (state.positions) reshapeParticles(state.positions, state.velocities, shape, random);
+        },
+
+        /**
+         * Update any of the sounding `modes` ([{ m, n, a, b, weight }]), `vibrationStrength`,
+         * `physicsModel`, `settleSpeed`, `jitter` and the particle `interaction` settings
+         */
+        setParams(params) {
+            Object.assign(state.params, params);
+        },
+
+        /**
+         * Advance the simulation by `dt` seconds at the given audio level, running
+         * as many whole frames as fit. Returns the number of frames run.
+         */
+        step(dt, audioLevel = 0) {
+            state.lag += dt;
+            // The tolerance keeps rounding from dropping a frame when dt is exactly FRAME_TIME
+            let frames = Math.floor(state.lag / FRAME_TIME + 1e-6);
+            if (frames > MAX_FRAMES_PER_STEP) {
+                frames = MAX_FRAMES_PER_STEP;
+                state.lag = 0;
+            } else {
+                state.lag = Math.max(0, state.lag - frames * FRAME_TIME);
+            }
+            if (!state.positions) return 0;
+
+            const stepParams = {
+                ...state.params,
+                shape: state.shape,
+                audioLevel,
+                isAudioActive: audioLevel > ACTIVE_LEVEL,
+            };
+            for (let frame = 0; frame < frames; frame++) {
+                stepParticles(state.positions, state.velocities, stepParams, random);
+                if (stepParams.interaction) {
+                    repelParticles(state.positions, state.velocities, stepParams, hash);
+                }
+            }
+            state.time += frames * FRAME_TIME;
+            return frames;
+        },
+
+        /**
+         * Copy of the whole state, detached from the live buffers, which restore() accepts.
+         * It survives structuredClone and postMessage.
+         */
+        snapshot() {
+            return {
+                version: SNAPSHOT_VERSION,
+                shape: state.shape,
+                params: structuredClone(state.params),
+                positions: state.positions ? state.positions.slice() : new Float32Array(0),
+                velocities: state.velocities ? state.velocities.slice() : new Float32Array(0),
+                rng: state.rng,
+                time: state.time,
+                lag: state.lag,
+            };
+        },
+
+        /**
+         * Return to a snapshot, continuing exactly as the snapshotted simulation would.
+         * Returns the new { positions, velocities } buffers and throws an Error if the
+         * snapshot is invalid.
+         */
+        restore(snapshot) {
+            if (snapshot?.version !== SNAPSHOT_VERSION) {
+                throw new Error(`Unsupported simulation snapshot version: ${snapshot?.version}`);
+            }
+            const count = snapshot.velocities.length / 2;
+            if (snapshot.positions.length !== count * 3) {
+                throw new Error('Snapshot positions and velocities disagree on the particle count');
+            }
+
+            state.positions = allocate(count * 3);
+            state.velocities = allocate(count * 2);
+            state.positions.set(snapshot.positions);
+            state.velocities.set(snapshot.velocities);
+            state.shape = snapshot.shape;
+            state.params = structuredClone(snapshot.params);
+            state.rng = snapshot.rng | 0;
+            state.time = snapshot.time;
+            state.lag = snapshot.lag;
+            return { positions: state.positions, velocities: state.velocities };
+        },
+    };
+
+    if (count > 0) core.resize(count);
+    return core;
+}
@@ -0,0 +1,69 @@
+// Uniform grid over the plate for finding nearby particles. Particles are sorted by
+// cell with a counting sort, so rebuilding the grid every frame is linear in the
+// particle count, and the buffers are reused between frames.
+
+const MAX_CELLS_PER_SIDE = 1024; // Limits memory when the cell size is tiny
+
+/**
+ * Create an empty grid. After build(), the particles in cell c are
+ * particles[cellStart[c]] to particles[cellStart[c + 1] - 1], and cellOf[i] is the
+ * cell of particle i. Cells are numbered row by row, cellsPerSide to a row.
+ */
+export function createSpatialHash() {
+    const hash = {
+        cellsPerSide: 0,
+        cellStart: new Int32Array(0),
+        particles: new Int32Array(0),
+        cellOf: new Int32Array(0),
+        cursor: new Int32Array(0), // Next free slot of each cell while sorting
+
+        /**
+         * Sort the first `count` particles of an x,y,z `positions` buffer into cells of at
+         * least `cellSize`, covering the square from -halfSize to halfSize on both axes.
+         * Particles outside the square go into the nearest edge cell.
+         */
+        build(positions, count, halfSize, cellSize) {
+            const cellsPerSide = Math.min(
+                MAX_CELLS_PER_SIDE,
+                Math.max(1, Math.floor((2 * halfSize) / cellSize)),
+            );
+            const cellCount = cellsPerSide * cellsPerSide;
+            const scale = cellsPerSide / (2 * halfSize);
+
+            if (hash.cellStart.length < cellCount + 1) {
+                hash.cellStart = new Int32Array(cellCount + 1);
+                hash.cursor = new Int32Array(cellCount);
+            } else {
+                hash.cellStart.fill(0, 0, cellCount + 1);
+            }
+            if (hash.particles.length < count) {
+                hash.particles = new Int32Array(count);
+                hash.cellOf = new Int32Array(count);
+            }
+            hash.cellsPerSide = cellsPerSide;
+            const { cellStart, particles, cellOf, cursor } = hash;
+
+            // Count the particles in each cell
+            const lastCell = cellsPerSide - 1;
+            for (let i = 0; i < count; i++) {
+                const cx = Math.floor((positions[i * 3] + halfSize) * scale);
+                const cy = Math.floor((positions[i * 3 + 1] + halfSize) * scale);
+                const cell =
+                    Math.min(Math.max(cy, 0), lastCell) * cellsPerSide +
+                    Math.min(Math.max(cx, 0), lastCell);
+                cellOf[i] = cell;
+                cellStart[cell + 1]++;
+            }
+
+            // Turn the counts into start offsets, then drop each particle into its cell
+            for (let cell = 0; cell < cellCount; cell++) {
+                cellStart[cell + 1] += cellStart[cell];
+                cursor[cell] = cellStart[cell];
+            }
+            for (let i = 0; i < count; i++) {
+                particles[cursor[cellOf[i]]++] = i;
+            }
+        },
+    };
+    return hash;
+}
@@ -0,0 +1,156 @@
+// Pointer performance surface for touch screens: an on-screen pad grid mirroring
+// the keymap, and a bowing gesture on the canvas. Pointer Events cover mouse, pen
+// and multitouch alike, so every finger is tracked on its own.
+
+const BOW_SMOOTHING = 0.3; // Share of each new speed sample in the smoothed bow speed
+const BOW_IDLE_TIME = 50; // ms without movement before the bow speed starts to fall
+const BOW_DECAY = 0.85; // Speed kept per frame while the pointer holds still
+
+/**
+ * Create the pad grid. Holding a pad calls `onPress(key)` once, however many fingers
+ * are on it, and `onRelease(key)` when the last one lifts.
+ * Returns { update(bindings), setVisible(visible) }, where bindings are keymap entries.
+ */
+export function createPadGrid({ onPress, onRelease }) {
+    const grid = document.createElement('div');
+    grid.className = 'pad-grid';
+    grid.hidden = true;
+    document.body.appendChild(grid);
+
+    let releaseHeldPads = [];
+
+    const createPad = ({ key, label }) => {
+        const pad = document.createElement('button');
+        pad.type = 'button';
+        pad.className = 'pad';
+        pad.innerHTML = '<span class="pad-key"></span><span class="pad-label"></span>';
+        pad.querySelector('.pad-key').textContent = key === 'SPACE' ? '␣' : key;
+        pad.querySelector('.pad-label').textContent = label;
+
+        const pointers = new Set();
+        const release = (event) => {
+            if (!pointers.delete(event.pointerId) || pointers.size > 0) return;
+            pad.classList.remove('is-pressed');
+            onRelease(key);
+        };
+
+        pad.addEventListener('pointerdown', (event) => {
+            event.preventDefault();
+            // Keep receiving this pointer's events if the finger slides off the pad
+            pad.setPointerCapture(event.pointerId);
+            if (pointers.size === 0) {
+                pad.classList.add('is-pressed');
+                onPress(key);
+            }
+            pointers.add(event.pointerId);
+        });
+        pad.addEventListener('pointerup', release);
+        pad.addEventListener('pointercancel', release);
+        pad.addEventListener('lostpointercapture', release);
+        // Long presses would otherwise open the context menu on touch screens
+        pad.addEventListener('contextmenu', (event) => event.preventDefault());
+
+        return {
+            pad,
+            releaseAll: () => {
+                if (pointers.size === 0) return;
+                pointers.clear();
+                onRelease(key);
+            },
+        };
+    };
+
+    return {
+        update(bindings) {
+            // Rebuilding removes held pads, so release their notes first
+            releaseHeldPads.forEach((releaseAll) => releaseAll());
+            const pads = bindings.map(createPad);
+            releaseHeldPads = pads.map(({ releaseAll }) => releaseAll);
+            grid.replaceChildren(...pads.map(({ pad }) => pad));
+        },
+        setVisible(visible) {
+            if (!visible) releaseHeldPads.forEach((releaseAll) => releaseAll());
+            grid.hidden = !visible;
+        },
+    };
+}
+
+/**
+ * Track a bowing gesture on `element`: pressing and dragging calls
+ * `onBow({ x, y, speed })` with the pointer position normalized to [-1, 1] (y up)
+ * and its smoothed speed in normalized units per second. `onBowEnd()` is called on release.
+ * `getViewport()` returns the { left, top, width, height } of the plate within the element
+ * in CSS pixels, or null for the whole element.
+ * Only one pointer bows at a time. Returns an object with detach() to stop listening.
+ */
+export function attachBowGesture(element, { getViewport, onBow, onBowEnd }) {
+    let bow = null; // { pointerId, x, y, time, speed, frame }
+
+    const toPlate = (event) => {
+        const rect = element.getBoundingClientRect();
+        const viewport = getViewport?.() ?? {
+            left: 0,
+            top: 0,
+            width: rect.width,
+            height: rect.height,
+        };
+        return {
+            x: ((event.clientX - rect.left - viewport.left) / viewport.width) * 2 - 1,
+            y: 1 - ((event.clientY - rect.top - viewport.top) / viewport.height) * 2,
+        };
+    };
+
+    // Let the speed fall while the pointer is held still, since no events arrive then
+    const decay = () => {
+        if (!bow) return;
+        if (performance.now() - bow.time > BOW_IDLE_TIME && bow.speed > 0) {
+            bow.speed *= BOW_DECAY;
+            onBow({ x: bow.x, y: bow.y, speed: bow.speed });
+        }
+        bow.frame = requestAnimationFrame(decay);
+    };
+
+    const onPointerDown = (event) => {
+        if (bow || !event.isPrimary) return;
+        element.setPointerCapture(event.pointerId);
+        const { x, y } = toPlate(event);
+        bow = { pointerId: event.pointerId, x, y, time: event.timeStamp, speed: 0, frame: 0 };
+        bow.frame = requestAnimationFrame(decay);
+        onBow({ x, y, speed: 0 });
+    };
+
+    const onPointerMove = (event) => {
+        if (!bow || event.pointerId !== bow.pointerId) return;
+        const { x, y } = toPlate(event);
+        const elapsed = (event.timeStamp - bow.time) / 1000;
+        if (elapsed <= 0) return;
+
+        const speed = Math.hypot(x - bow.x, y - bow.y) / elapsed;
+        bow.speed += (speed - bow.speed) * BOW_SMOOTHING;
+        bow.x = x;
+        bow.y = y;
+        bow.time = event.timeStamp;
+        onBow({ x, y, speed: bow.speed });
+    };
+
+    const onPointerEnd = (event) => {
+        if (!bow || event.pointerId !== bow.pointerId) return;
+        cancelAnimationFrame(bow.frame);
+        bow = null;
+        onBowEnd();
+    };
+
+    element.addEventListener('pointerdown', onPointerDown);
+    element.addEventListener('pointermove', onPointerMove);
+    element.addEventListener('pointerup', onPointerEnd);
+    element.addEventListener('pointercancel', onPointerEnd);
+
+    return {
+        detach() {
+            element.removeEventListener('pointerdown', onPointerDown);
+            element.removeEventListener('pointermove', onPointerMove);
+            element.removeEventListener('pointerup', onPointerEnd);
+            element.removeEventListener('pointercancel', onPointerEnd);
+        },
+    };
+}
@@ -0,0 +1,195 @@
+// Musical tuning: the natural frequency of a plate mode, quantized to a scale
+// around a configurable A4 reference pitch. Pitches inside the scale are kept in
+// cents above the root note; the period (usually the octave) repeats the scale.
+
+export const SCALES = {
+    Natural: 'off', // No quantization: modes sound at their natural frequency
+    Chromatic: 'chromatic',
+    Major: 'major',
+    Minor: 'minor',
+    Pentatonic: 'pentatonic',
+    'Just Intonation': 'just',
+    'Scala File': 'scala',
+};
+
+export const NOTE_NAMES = ['C', 'C♯', 'D', 'D♯', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'A♯', 'B'];
+
+const OCTAVE = 1200; // cents
+const A4_NOTE = 69; // MIDI note number of the reference pitch
+
+// 5-limit just ratios of the twelve chromatic degrees above the root
+const JUST_RATIOS = [
+    1,
+    16 / 15,
+    9 / 8,
+    6 / 5,
+    5 / 4,
+    4 / 3,
+    45 / 32,
+    3 / 2,
+    8 / 5,
+    5 / 3,
+    9 / 5,
+    15 / 8,
+];
+
+const ratioToCents = (ratio) => OCTAVE * Math.log2(ratio);
+
+// Built-in scales as degrees in cents above the root
+const SCALE_DEGREES = {
+    chromatic: [0, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100],
+    major: [0, 200, 400, 500, 700, 900, 1100],
+    minor: [0, 200, 300, 500, 700, 800, 1000],
+    pentatonic: [0, 200, 400, 700, 900],
+    just: JUST_RATIOS.map(ratioToCents),
+};
+
+// Tuning settings edited from the panel
+export const TUNING = {
+    scale: 'off',
+    root: 9, // Pitch class of the scale's root note, 0 = C ... 9 = A
+    referencePitch: 440, // Frequency of A4 in Hz
+};
+
+let scalaScale = null; // Last loaded Scala file: { description, degrees, period }
+
+/**
+ * Natural frequency of a Chladni pattern
+ * Based on the physical equation f ∝ √((m² + n²)/ρ)
+ * where ρ is the plate density (assumed constant)
+ */
+export function naturalFrequency(pattern) {
+    // Base frequency from mode numbers; 55 Hz is A1
+    const baseFreq = Math.sqrt(pattern.m * pattern.m + pattern.n * pattern.n) * 55;
+
+    // Amplitude coefficients affect the frequency through tension/stress
+    const amplitudeEffect = Math.sqrt(pattern.a * pattern.a + pattern.b * pattern.b);
+
+    // Clamp between 20Hz and 2000Hz
+    return Math.min(Math.max(baseFreq * amplitudeEffect, 20), 2000);
+}
+
+/**
+ * Frequency the synth plays for a pattern: its natural frequency, quantized to the scale
+ */
+export function calculateFrequencyFromPattern(pattern) {
+    return quantizeFrequency(naturalFrequency(pattern));
+}
+
+/**
+ * Frequency in Hz of a MIDI note number, relative to the A4 reference pitch
+ */
+export function midiNoteToFrequency(note) {
+    return TUNING.referencePitch * Math.pow(2, (note - A4_NOTE) / 12);
+}
+
+/**
+ * Degrees and period of the selected scale, or null when quantization is off
+ */
+function getScale() {
+    if (TUNING.scale === 'scala') return scalaScale;
+    const degrees = SCALE_DEGREES[TUNING.scale];
+    return degrees ? { degrees, period: OCTAVE } : null;
+}
+
+/**
+ * Snap a frequency to the nearest degree of the selected scale
+ */
+export function quantizeFrequency(frequency) {
+    const scale = getScale();
+    if (!scale) return frequency;
+
+    const rootFrequency = midiNoteToFrequency(A4_NOTE - 9 + TUNING.root);
+    const cents = ratioToCents(frequency / rootFrequency);
+    const period = Math.floor(cents / scale.period);
+    const offset = cents - period * scale.period;
+
+    // The root of the next period is a candidate too, for offsets just below it
+    let nearest = scale.period;
+    for (const degree of scale.degrees) {
+        if (Math.abs(degree - offset) < Math.abs(nearest - offset)) nearest = degree;
+    }
+    return rootFrequency * Math.pow(2, (period * scale.period + nearest) / OCTAVE);
+}
+
+/**
+ * Nearest equal-tempered note to a frequency and the offset from it
+ * Returns { name, octave, cents }, e.g. { name: 'A', octave: 4, cents: -3.2 }
+ */
+export function describeFrequency(frequency) {
+    const note = A4_NOTE + 12 * Math.log2(frequency / TUNING.referencePitch);
+    const nearest = Math.round(note);
+    return {
+        name: NOTE_NAMES[((nearest % 12) + 12) % 12],
+        octave: Math.floor(nearest / 12) - 1,
+        cents: (note - nearest) * 100,
+    };
+}
+
+/**
+ * Short description of a frequency, e.g. "A4 +0¢ (440.0 Hz)"
+ */
+export function formatNote(frequency) {
+    const { name, octave, cents } = describeFrequency(frequency);
+    const rounded = Math.round(cents);
+    return `${name}${octave} ${rounded >= 0 ? '+' : ''}${rounded}¢ (${frequency.toFixed(1)} Hz)`;
+}
+
+/**
+ * Parse one Scala pitch: cents if it has a period, otherwise a ratio such as 3/2 or 2
+ */
+function parseScalaPitch(line) {
+    const token = line.trim().split(/\s+/)[0];
+    if (token.includes('.')) {
+        const cents = Number(token);
+        if (Number.isFinite(cents)) return cents;
+    } else {
+        const [numerator, denominator = '1'] = token.split('/');
+        const ratio = Number(numerator) / Number(denominator);
+        if (Number.isFinite(ratio) && ratio > 0) return ratioToCents(ratio);
+    }
+    throw new Error(`Invalid pitch "${token}"`);
+}
+
+/**
+ * Parse the text of a Scala .scl file into { description, degrees, period }
+ * The file lists every pitch above the implicit 1/1; the last one is the period.
+ * A file with no pitches is the unison alone, repeating every octave.
+ * Throws an Error if the file is malformed.
+ */
+export function parseScala(text) {
+    const lines = text.split(/\r?\n/).filter((line) => !line.startsWith('!'));
+    if (lines.length < 2) throw new Error('Missing description or note count');
+
+    const description = lines[0].trim();
+    const count = Number.parseInt(lines[1], 10);
+    if (!Number.isInteger(count) || count < 0) throw new Error('Invalid note count');
+
+    const pitches = lines
+        .slice(2)
+        .filter((line) => line.trim() !== '')
+        .slice(0, count)
+        .map(parseScalaPitch);
+    if (pitches.length < count) {
+        throw new Error(`Expected ${count} pitches but found ${pitches.length}`);
+    }
+    if (count === 0) return { description, degrees: [0], period: OCTAVE };
+
+    const period = pitches[count - 1];
+    if (period <= 0) throw new Error('The last pitch must be above 1/1');
+    return { description, degrees: [0, ...pitches.slice(0, count - 1)], period };
+}
+
+/**
+ * Use a Scala scale for quantization and select it
+ * Returns the scale description. Throws an Error if the file is malformed.
+ */
+export function loadScala(text) {
+    scalaScale = parseScala(text);
+    TUNING.scale = 'scala';
+    return scalaScale.description;
+}
+
+export function hasScalaScale() {
+    return scalaScale !== null;
+}
@@ -0,0 +1,92 @@
+// Mirror the shareable parameters in the URL hash, e.g. #plateShape=circular&m=3&n=2,
+// so a link restores the exact pattern, particle count and audio settings.
+// Switches are written as 1 or 0, and colours as hex without the '#'.
+
+const WRITE_DELAY = 250; // ms, so dragging a slider does not rewrite the URL every frame
+
+let writeTimer = null;
+
+/**
+ * Number of decimals needed to print values on a slider's step grid
+ */
+function stepDecimals(step) {
+    const text = String(step);
+    const dot = text.indexOf('.');
+    return dot === -1 ? 0 : text.length - dot - 1;
+}
+
+const BOOLEAN_VALUES = { 1: true, true: true, 0: false, false: false };
+const HEX_COLOR = /^#?([0-9a-f]{6})$/i;
+
+/**
+ * Turn a raw URL value into a valid parameter value, or undefined if it cannot be used.
+ * Numbers are clamped to the range and snapped to the step of their slider.
+ */
+export function sanitizeParam(spec, raw) {
+    if (spec.type === 'boolean') {
+        return typeof raw === 'boolean' ? raw : BOOLEAN_VALUES[raw];
+    }
+    if (spec.type === 'color') {
+        const match = typeof raw === 'string' ? HEX_COLOR.exec(raw) : null;
+        return match ? `#${match[1].toLowerCase()}` : undefined;
+    }
+    if (spec.options) {
+        const values = Object.values(spec.options);
+        return values.includes(raw) ? raw : undefined;
+    }
+
+    const value = Number.parseFloat(raw);
+    if (!Number.isFinite(value)) return undefined;
+
+    const clamped = Math.min(Math.max(value, spec.min), spec.max);
+    if (!spec.step) return clamped;
+    const snapped = spec.min + Math.round((clamped - spec.min) / spec.step) * spec.step;
+    return Number(Math.min(snapped, spec.max).toFixed(stepDecimals(spec.step)));
+}
+
+/**
+ * Read every parameter in `schema` that the URL hash provides
+ */
+export function readParamsFromUrl(schema, hash = window.location.hash) {
+    const query = new URLSearchParams(hash.replace(/^#/, ''));
+    const params = {};
+    for (const [key, spec] of Object.entries(schema)) {
+        if (!query.has(key)) continue;
+        const value = sanitizeParam(spec, query.get(key));
+        if (value !== undefined) params[key] = value;
+    }
+    return params;
+}
+
+function formatParam(spec, value) {
+    if (spec.type === 'boolean') return value ? '1' : '0';
+    if (spec.type === 'color') return value.replace(/^#/, '');
+    return spec.step ? value.toFixed(stepDecimals(spec.step)) : String(value);
+}
+
+/**
+ * Format the parameters in `schema` as a URL hash
+ */
+export function formatParamsHash(params, schema) {
+    const query = new URLSearchParams();
+    for (const [key, spec] of Object.entries(schema)) {
+        const value = params[key];
+        if (value === undefined) continue;
+        query.set(key, formatParam(spec, value));
+    }
+    return `#${query}`;
+}
+
+/**
+ * Update the URL hash from the parameters, replacing the current history entry
+ * instead of adding one for every change
+ */
+export function writeParamsToUrl(params, schema) {
+    clearTimeout(writeTimer);
+    writeTimer = setTimeout(() => {
+        const hash = formatParamsHash(params, schema);
+        if (hash !== window.location.hash) {
+            window.history.replaceState(null, '', hash);
+        }
+    }, WRITE_DELAY);
+}
@@ -0,0 +1,206 @@
+import * as Tone from 'tone';
+
+// Synth voice types selectable from the panel, each played through a voice pool
+
+export const SYNTH_VOICES = {
+    FM: 'fm',
+    AM: 'am',
+    Oscillator: 'oscillator',
+    Plate: 'plate',
+};
+
+// Envelope of every voice; the app also uses it to weight each voice's mode on the plate
+export const VOICE_ENVELOPE = {
+    attack: 0.01,
+    decay: 0.1,
+    sustain: 0.7,
+    release: 0.25,
+};
+
+const PLATE_PARTIAL_COUNT = 8;
+
+/**
+ * Partials of the plate voice: the lowest mode frequencies of a square plate,
+ * f ∝ √(m² + n²), relative to the fundamental (1, 1) mode. Amplitudes fall off as 1/k.
+ */
+const PLATE_PARTIALS = (() => {
+    const ratios = new Set();
+    for (let m = 1; m <= PLATE_PARTIAL_COUNT; m++) {
+        for (let n = m; n <= PLATE_PARTIAL_COUNT; n++) {
+            ratios.add(Math.sqrt((m * m + n * n) / 2));
+        }
+    }
+    return [...ratios]
+        .sort((first, second) => first - second)
+        .slice(0, PLATE_PARTIAL_COUNT)
+        .map((ratio, index) => ({ ratio, amplitude: 1 / (index + 1) }));
+})();
+
+/**
+ * Additive voice: a sine fundamental plus inharmonic partials at the plate's mode ratios,
+ * all shaped by one amplitude envelope
+ */
+class PlateSynth extends Tone.Synth {
+    constructor(options) {
+        super(options);
+        this.name = 'PlateSynth';
+
+        // The fundamental is the Synth's own oscillator; the partials follow its frequency
+        this.partials = PLATE_PARTIALS.slice(1).map(({ ratio, amplitude }) => {
+            const multiplier = new Tone.Multiply({ context: this.context, value: ratio });
+            const oscillator = new Tone.Oscillator({ context: this.context, type: 'sine' });
+            const gain = new Tone.Gain({ context: this.context, gain: amplitude });
+            this.frequency.connect(multiplier);
+            multiplier.connect(oscillator.frequency);
+            oscillator.chain(gain, this.envelope);
+            return { multiplier, oscillator, gain };
+        });
+    }
+
+    _triggerEnvelopeAttack(time, velocity) {
+        super._triggerEnvelopeAttack(time, velocity);
+        this.partials.forEach(({ oscillator }) => oscillator.start(time));
+    }
+
+    _triggerEnvelopeRelease(time) {
+        super._triggerEnvelopeRelease(time);
+        const stopTime = time + this.toSeconds(this.envelope.release);
+        this.partials.forEach(({ oscillator }) => oscillator.stop(stopTime));
+    }
+
+    dispose() {
+        super.dispose();
+        this.partials.forEach(({ multiplier, oscillator, gain }) => {
+            multiplier.dispose();
+            oscillator.dispose();
+            gain.dispose();
+        });
+        return this;
+    }
+}
+
+const MAX_POLYPHONY = 32;
+
+/**
+ * Polyphonic synth over a pool of monophonic voices, with the PolySynth methods the app uses.
+ * triggerAttack returns the voice it started, so callers can glide that voice's frequency.
+ */
+function createVoicePool(VoiceClass, options) {
+    const output = new Tone.Volume();
+    const voiceOptions = { ...options };
+    // Each voice holds its note until released, then is busy until its release has ended
+    const entries = [];
+
+    function acquire(time) {
+        const free = entries.find((entry) => entry.freeAt <= time);
+        if (free) return free;
+        if (entries.length < MAX_POLYPHONY) {
+            const entry = { voice: new VoiceClass(voiceOptions).connect(output) };
+            entries.push(entry);
+            return entry;
+        }
+        // Steal the voice closest to the end of its release
+        return entries.reduce((oldest, entry) => (entry.freeAt < oldest.freeAt ? entry : oldest));
+    }
+
+    function attack(note, time, velocity) {
+        const entry = acquire(time);
+        // A reused voice may still have the end of an earlier glide scheduled
+        entry.voice.frequency.cancelScheduledValues(time);
+        entry.voice.triggerAttack(note, time, velocity);
+        entry.note = note;
+        entry.freeAt = Infinity;
+        return entry;
+    }
+
+    function release(entry, time) {
+        entry.voice.triggerRelease(time);
+        entry.note = null;
+        entry.freeAt = time + entry.voice.toSeconds(entry.voice.envelope.release);
+    }
+
+    const pool = {
+        volume: output.volume,
+        triggerAttack(note, time, velocity) {
+            return attack(note, output.toSeconds(time), velocity).voice;
+        },
+        triggerRelease(note, time) {
+            const entry = entries.find((held) => held.note === note);
+            if (entry) release(entry, output.toSeconds(time));
+            return pool;
+        },
+        triggerAttackRelease(note, duration, time, velocity) {
+            const seconds = output.toSeconds(time);
+            release(attack(note, seconds, velocity), seconds + output.toSeconds(duration));
+            return pool;
+        },
+        releaseAll(time) {
+            const seconds = output.toSeconds(time);
+            entries
+                .filter((entry) => entry.note !== null)
+                .forEach((entry) => release(entry, seconds));
+            return pool;
+        },
+        set(changes) {
+            Object.assign(voiceOptions, changes);
+            entries.forEach(({ voice }) => voice.set(changes));
+            return pool;
+        },
+        connect(destination) {
+            output.connect(destination);
+            return pool;
+        },
+        toDestination() {
+            output.toDestination();
+            return pool;
+        },
+        dispose() {
+            entries.forEach(({ voice }) => voice.dispose());
+            output.dispose();
+            return pool;
+        },
+    };
+    return pool;
+}
+
+/**
+ * Create a polyphonic synth of the given voice type with the given amplitude envelope
+ */
+export function createSynth(voice, envelope) {
+    switch (voice) {
+        case 'am':
+            return createVoicePool(Tone.AMSynth, {
+                harmonicity: 2,
+                oscillator: { type: 'sine' },
+                envelope,
+                modulation: { type: 'square' },
+            });
+        case 'oscillator':
+            return createVoicePool(Tone.Synth, {
+                oscillator: { type: 'triangle' },
+                envelope,
+            });
+        case 'plate':
+            return createVoicePool(PlateSynth, {
+                oscillator: { type: 'sine' },
+                envelope,
+                // The partials add up to more than the fundamental alone
+                volume: -6,
+            });
+        default:
+            // FM synthesis for rich harmonics
+            return createVoicePool(Tone.FMSynth, {
+                harmonicity: 3,
+                modulationIndex: 10,
+                oscillator: { type: 'sine' },
+                envelope,
+                modulation: { type: 'square' },
+                modulationEnvelope: {
+                    attack: 0.5,
+                    decay: 0.31,
+                    sustain: 1,
+                    release: 0.25,
+                },
+            });
+    }
+}
@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+
+// The keymap persists to localStorage, which Node does not have
+const storage = new Map();
+globalThis.localStorage = {
+    getItem: (key) => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, String(value)),
+};
+
+const keymap = await import('../src/keymap.js');
+const { findClosestMode } = await import('../src/modes.js');
+const { midiNoteToFrequency } = await import('../src/tuning.js');
+
+function keymapFile(keys, version = keymap.KEYMAP_SCHEMA_VERSION) {
+    return JSON.stringify({ version, keys });
+}
+
+describe('keymap', () => {
+    beforeEach(() => keymap.resetKeymap());
+
+    it('names keys in upper case, with the space bar as SPACE', () => {
+        assert.equal(keymap.normalizeKey('q'), 'Q');
+        assert.equal(keymap.normalizeKey(' '), 'SPACE');
+        assert.equal(keymap.normalizeKey(' space '), 'SPACE');
+        assert.equal(keymap.normalizeKey('ü'), 'Ü');
+    });
+
+    it('starts with the default pattern keys and the panel key', () => {
+        assert.equal(keymap.getKeyBinding('A').label, 'Flower');
+        assert.equal(keymap.getKeyBinding('SPACE').pattern, null);
+        assert.equal(keymap.getKeyBinding('Z'), null);
+    });
+
+    it('round-trips through export and import', () => {
+        keymap.bindKey('z', 'Low', { m: 2, n: 3, a: 1, b: -1, type: 'note' });
+        const exported = keymap.exportKeymap();
+        keymap.resetKeymap();
+        assert.equal(keymap.importKeymap(exported), 12);
+        assert.deepEqual(keymap.getKeyBinding('Z'), {
+            label: 'Low',
+            pattern: { m: 2, n: 3, a: 1, b: -1, type: 'note' },
+        });
+    });
+
+    it('clamps imported patterns and skips invalid bindings', () => {
+        const count = keymap.importKeymap(
+            keymapFile({
+                x: { label: 'Wild', pattern: { m: 99, n: -4, a: 7, b: 0.6 } },
+                y: { label: 'Broken', pattern: { m: 'one', n: 2, a: 1, b: 1 } },
+                space: { label: 3, pattern: null },
+                ' ': { label: 'Blank key', pattern: null },
+            }),
+        );
+        assert.equal(count, 2);
+        assert.deepEqual(keymap.getKeyBinding('X').pattern, {
+            m: 15,
+            n: 1,
+            a: 2,
+            b: 1,
+            type: 'custom',
+        });
+        assert.deepEqual(keymap.getKeyBinding('SPACE'), { label: '', pattern: null });
+    });
+
+    it('rejects files that are not keymaps or from a newer version', () => {
+        assert.throws(() => keymap.importKeymap('[]'), /Not a Cymatic keymap/);
+        assert.throws(
+            () => keymap.importKeymap(keymapFile({}, keymap.KEYMAP_SCHEMA_VERSION + 1)),
+            /Unsupported keymap version/,
+        );
+    });
+
+    it('lays out a piano row from a starting note', () => {
+        const bound = keymap.applyPianoLayout('ZS X', 60, (note) => ({
+            m: note - 58,
+            n: 1,
+            a: 1,
+            b: 1,
+        }));
+        assert.equal(bound, 3);
+        assert.deepEqual(keymap.getKeyBinding('S'), {
+            label: 'C♯4',
+            pattern: { m: 3, n: 1, a: 1, b: 1, type: 'note' },
+            note: 61,
+        });
+        assert.equal(keymap.getKeyBinding('X').label, 'D4');
+
+        keymap.importKeymap(keymap.exportKeymap());
+        assert.equal(keymap.getKeyBinding('X').note, 62);
+    });
+
+    it('sounds the labelled pitch of each piano key, not its mode pitch', () => {
+        keymap.applyPianoLayout(keymap.QWERTY_PIANO_ROW, 48, (note) =>
+            findClosestMode(midiNoteToFrequency(note)),
+        );
+        const bindings = [...'ZSXD'].map((key) => keymap.getKeyBinding(key));
+        assert.deepEqual(
+            bindings.map(({ label }) => label),
+            ['C3', 'C♯3', 'D3', 'D♯3'],
+        );
+        bindings.forEach((binding, index) => {
+            const frequency = keymap.getBindingFrequency(binding, binding.pattern);
+            assert.ok(Math.abs(frequency - midiNoteToFrequency(48 + index)) < 1e-9);
+        });
+    });
+
+    it('persists to storage', () => {
+        keymap.unbindKey('A');
+        const stored = JSON.parse(storage.get('cymatic.keymap'));
+        assert.equal(stored.keys.A, undefined);
+        assert.ok(stored.keys.S);
+    });
+});
@@ -0,0 +1,153 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createMidiInput, handleMidiMessage, MOD_WHEEL } from '../src/midi.js';
+
+/**
+ * Stand-in for a MIDIInput: records its listeners and plays messages to them
+ */
+function createFakeInput(name) {
+    const listeners = new Set();
+    return {
+        name,
+        state: 'connected',
+        listeners,
+        addEventListener: (type, listener) => type === 'midimessage' && listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener),
+        send: (data) => listeners.forEach((listener) => listener({ data })),
+    };
+}
+
+/**
+ * Stand-in for a MIDIAccess whose inputs can be plugged in and out
+ */
+function createFakeAccess(inputs) {
+    const listeners = new Set();
+    return {
+        inputs: new Map(inputs.map((input) => [input.name, input])),
+        listeners,
+        addEventListener: (type, listener) => type === 'statechange' && listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener),
+        plugIn(input) {
+            this.inputs.set(input.name, input);
+            listeners.forEach((listener) => listener({ port: input }));
+        },
+    };
+}
+
+/**
+ * Handlers that record every call as [name, ...args]
+ */
+function recordHandlers() {
+    const calls = [];
+    const record =
+        (name) =>
+        (...args) =>
+            calls.push([name, ...args]);
+    return {
+        calls,
+        handlers: {
+            onNoteOn: record('noteOn'),
+            onNoteOff: record('noteOff'),
+            onControlChange: record('controlChange'),
+            onInputsChange: record('inputsChange'),
+        },
+    };
+}
+
+describe('handleMidiMessage', () => {
+    it('reads note on and note off with the velocity scaled to (0, 1]', () => {
+        const { calls, handlers } = recordHandlers();
+        handleMidiMessage([0x90, 60, 127], handlers);
+        handleMidiMessage([0x80, 60, 64], handlers);
+        assert.deepEqual(calls, [
+            ['noteOn', 60, 1],
+            ['noteOff', 60],
+        ]);
+    });
+
+    it('treats a note on with velocity 0 as a note off', () => {
+        const { calls, handlers } = recordHandlers();
+        handleMidiMessage([0x90, 64, 0], handlers);
+        assert.deepEqual(calls, [['noteOff', 64]]);
+    });
+
+    it('ignores the channel', () => {
+        const { calls, handlers } = recordHandlers();
+        handleMidiMessage([0x9f, 48, 127], handlers);
+        handleMidiMessage([0x85, 48, 0], handlers);
+        handleMidiMessage([0xb3, MOD_WHEEL, 127], handlers);
+        assert.deepEqual(calls, [
+            ['noteOn', 48, 1],
+            ['noteOff', 48],
+            ['controlChange', MOD_WHEEL, 1],
+        ]);
+    });
+
+    it('scales control changes to [0, 1]', () => {
+        const { calls, handlers } = recordHandlers();
+        handleMidiMessage([0xb0, 7, 0], handlers);
+        handleMidiMessage([0xb0, 7, 127], handlers);
+        assert.deepEqual(calls, [
+            ['controlChange', 7, 0],
+            ['controlChange', 7, 1],
+        ]);
+    });
+
+    it('skips other messages', () => {
+        const { calls, handlers } = recordHandlers();
+        handleMidiMessage([0xe0, 0, 64], handlers); // Pitch bend
+        assert.deepEqual(calls, []);
+    });
+});
+
+describe('createMidiInput', () => {
+    it('listens to every input and reports their names', () => {
+        const keys = createFakeInput('Keys');
+        const { calls, handlers } = recordHandlers();
+        createMidiInput(createFakeAccess([keys]), handlers);
+        keys.send([0x90, 60, 127]);
+        assert.deepEqual(calls, [
+            ['inputsChange', ['Keys']],
+            ['noteOn', 60, 1],
+        ]);
+    });
+
+    it('listens to inputs connected later, once each', () => {
+        const access = createFakeAccess([createFakeInput('Keys')]);
+        const { calls, handlers } = recordHandlers();
+        createMidiInput(access, handlers);
+
+        const pads = createFakeInput('Pads');
+        access.plugIn(pads);
+        access.plugIn(pads);
+        assert.equal(pads.listeners.size, 1);
+        pads.send([0x90, 36, 127]);
+        assert.deepEqual(calls.at(-2), ['inputsChange', ['Keys', 'Pads']]);
+        assert.deepEqual(calls.at(-1), ['noteOn', 36, 1]);
+    });
+
+    it('leaves disconnected inputs out of the reported names', () => {
+        const keys = createFakeInput('Keys');
+        const pads = createFakeInput('Pads');
+        const access = createFakeAccess([keys, pads]);
+        const { calls, handlers } = recordHandlers();
+        createMidiInput(access, handlers);
+
+        pads.state = 'disconnected';
+        access.listeners.forEach((listener) => listener({ port: pads }));
+        assert.deepEqual(calls.at(-1), ['inputsChange', ['Keys']]);
+    });
+
+    it('removes every listener on disconnect', () => {
+        const keys = createFakeInput('Keys');
+        const access = createFakeAccess([keys]);
+        const { calls, handlers } = recordHandlers();
+        const midi = createMidiInput(access, handlers);
+
+        midi.disconnect();
+        assert.equal(keys.listeners.size, 0);
+        assert.equal(access.listeners.size, 0);
+        keys.send([0x90, 60, 127]);
+        assert.equal(calls.length, 1); // Only the initial inputsChange
+    });
+});
@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+
+// Presets persist to localStorage, which Node does not have
+const storage = new Map();
+globalThis.localStorage = {
+    getItem: (key) => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, String(value)),
+};
+
+const presets = await import('../src/presets.js');
+
+function bank(presetList, version = presets.PRESET_SCHEMA_VERSION) {
+    return JSON.stringify({ version, presets: presetList });
+}
+
+describe('presets', () => {
+    beforeEach(() => {
+        presets.getPresetNames().forEach((name) => presets.deletePreset(name));
+    });
+
+    it('saves only the preset fields', () => {
+        presets.savePreset('Star', { m: 4, n: 3, isPlaying: true, plateShape: 'circular' });
+        assert.deepEqual(presets.getPreset('Star').params, { m: 4, n: 3 });
+    });
+
+    it('round-trips a bank through export and import', () => {
+        presets.savePreset('One', { m: 2, n: 5, particles: 20000 });
+        const exported = presets.exportPresetBank();
+        presets.deletePreset('One');
+        assert.equal(presets.importPresetBank(exported), 1);
+        assert.deepEqual(presets.getPreset('One').params, { m: 2, n: 5, particles: 20000 });
+    });
+
+    it('clamps and snaps imported values to the slider ranges', () => {
+        presets.importPresetBank(
+            bank([{ name: 'Wild', params: { particles: 1e9, m: -5, n: 2.6, volume: 0.33 } }]),
+        );
+        assert.deepEqual(presets.getPreset('Wild').params, {
+            particles: 100000,
+            m: 1,
+            n: 3,
+            volume: 0.3,
+        });
+    });
+
+    it('drops values that are not finite numbers', () => {
+        presets.importPresetBank(
+            bank([{ name: 'Broken', params: { m: '4', n: null, particles: Infinity, volume: 1 } }]),
+        );
+        assert.deepEqual(presets.getPreset('Broken').params, { volume: 1 });
+    });
+
+    it('skips presets without a name and trims names', () => {
+        const count = presets.importPresetBank(
+            bank([{ name: '  Spaced  ', params: {} }, { name: '   ', params: {} }, { params: {} }]),
+        );
+        assert.equal(count, 1);
+        assert.deepEqual(presets.getPresetNames(), ['Spaced']);
+    });
+
+    it('rejects banks that are not preset banks or from a newer version', () => {
+        assert.throws(
+            () => presets.importPresetBank('{"presets": 3}'),
+            /Not a Cymatic preset bank/,
+        );
+        assert.throws(
+            () => presets.importPresetBank(bank([], presets.PRESET_SCHEMA_VERSION + 1)),
+            /Unsupported preset bank version/,
+        );
+        assert.throws(() => presets.importPresetBank('not json'), SyntaxError);
+    });
+
+    it('persists to storage', () => {
+        presets.savePreset('Kept', { m: 6 });
+        const stored = JSON.parse(storage.get('cymatic.presets'));
+        assert.deepEqual(stored.presets, [{ name: 'Kept', params: { m: 6 } }]);
+    });
+
+    it('renames unless the new name is taken', () => {
+        presets.savePreset('A', { m: 1 });
+        presets.savePreset('B', { m: 2 });
+        assert.equal(presets.renamePreset('A', 'B'), false);
+        assert.equal(presets.renamePreset('A', 'C'), true);
+        assert.deepEqual(presets.getPresetNames(), ['C', 'B']);
+    });
+});
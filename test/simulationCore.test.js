@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createSimulationCore, FRAME_TIME, SNAPSHOT_VERSION } from '../src/simulationCore.js';
+
+const PARAMS = {
+    modes: [{ m: 4, n: 3, a: 1, b: -1, weight: 1 }],
+    interaction: true,
+};
+
+function run(core, frames, level = 0.3) {
+    for (let frame = 0; frame < frames; frame++) core.step(FRAME_TIME, level);
+}
+
+describe('createSimulationCore', () => {
+    it('gives identical particles for the same seed, parameters and steps', () => {
+        const first = createSimulationCore({ count: 500, seed: 42, params: PARAMS });
+        const second = createSimulationCore({ count: 500, seed: 42, params: PARAMS });
+        run(first, 30);
+        run(second, 30);
+        assert.deepEqual(first.state.positions, second.state.positions);
+        assert.deepEqual(first.state.velocities, second.state.velocities);
+    });
+
+    it('gives different particles for another seed', () => {
+        const first = createSimulationCore({ count: 500, seed: 42 });
+        const second = createSimulationCore({ count: 500, seed: 43 });
+        assert.notDeepEqual(first.state.positions, second.state.positions);
+    });
+
+    it('continues from a restored snapshot exactly as the original', () => {
+        const original = createSimulationCore({ count: 500, seed: 7, params: PARAMS });
+        run(original, 10);
+        original.step(FRAME_TIME / 3, 0.3); // Leaves part of a frame in the lag
+        const snapshot = structuredClone(original.snapshot());
+
+        const restored = createSimulationCore({ seed: 99 });
+        restored.restore(snapshot);
+        run(original, 20);
+        run(restored, 20);
+        assert.deepEqual(restored.state.positions, original.state.positions);
+        assert.deepEqual(restored.state.velocities, original.state.velocities);
+        assert.equal(restored.state.rng, original.state.rng);
+        assert.equal(restored.state.time, original.state.time);
+    });
+
+    it('detaches snapshots from the live buffers', () => {
+        const core = createSimulationCore({ count: 100, seed: 3 });
+        const snapshot = core.snapshot();
+        run(core, 5);
+        assert.notDeepEqual(snapshot.positions, core.state.positions);
+    });
+
+    it('rejects snapshots of another version or with mismatched buffers', () => {
+        const core = createSimulationCore({ count: 100, seed: 3 });
+        const snapshot = core.snapshot();
+        assert.throws(
+            () => core.restore({ ...snapshot, version: SNAPSHOT_VERSION + 1 }),
+            /Unsupported simulation snapshot version/,
+        );
+        assert.throws(() => core.restore(null), /Unsupported simulation snapshot version/);
+        assert.throws(
+            () => core.restore({ ...snapshot, positions: snapshot.positions.slice(3) }),
+            /disagree on the particle count/,
+        );
+    });
+
+    it('runs whole frames and carries the remainder over to the next step', () => {
+        const core = createSimulationCore({ count: 10, seed: 1 });
+        assert.equal(core.step(FRAME_TIME), 1);
+        assert.equal(core.step(FRAME_TIME / 2), 0);
+        assert.equal(core.step(FRAME_TIME / 2), 1);
+        assert.equal(core.step(2.5 * FRAME_TIME), 2);
+        assert.ok(Math.abs(core.state.lag - FRAME_TIME / 2) < 1e-9);
+        assert.ok(Math.abs(core.state.time - 4 * FRAME_TIME) < 1e-9);
+    });
+
+    it('drops time beyond four frames per step instead of catching up', () => {
+        const core = createSimulationCore({ count: 10, seed: 1 });
+        assert.equal(core.step(1), 4);
+        assert.equal(core.state.lag, 0);
+        assert.equal(core.step(FRAME_TIME), 1);
+    });
+
+    it('runs no frames before it has particles', () => {
+        const core = createSimulationCore({ seed: 1 });
+        assert.equal(core.step(FRAME_TIME), 0);
+        core.resize(10);
+        assert.equal(core.step(FRAME_TIME / 2), 0);
+        assert.equal(core.step(FRAME_TIME / 2), 1);
+    });
+});
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import {
+    describeFrequency,
+    loadScala,
+    midiNoteToFrequency,
+    parseScala,
+    quantizeFrequency,
+    TUNING,
+} from '../src/tuning.js';
+
+const DEFAULT_TUNING = { ...TUNING };
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not close to ${expected}`);
+};
+
+describe('parseScala', () => {
+    it('reads ratios and cents, skipping comments and blank lines', () => {
+        const scale = parseScala(
+            '! fifths.scl\n!\nFifths and fourths\n 3\n!\n4/3\n\n701.955 fifth\n2\n',
+        );
+        assert.equal(scale.description, 'Fifths and fourths');
+        assert.equal(scale.degrees.length, 3);
+        assert.equal(scale.degrees[0], 0);
+        assertClose(scale.degrees[1], 498.045, 1e-3);
+        assertClose(scale.degrees[2], 701.955);
+        assertClose(scale.period, 1200);
+    });
+
+    it('takes the last pitch as the period', () => {
+        const scale = parseScala('Tritave\n2\n9/7\n3/1\n');
+        assert.equal(scale.degrees.length, 2);
+        assertClose(scale.period, 1901.955, 1e-3);
+    });
+
+    it('accepts a scale of no pitches as the unison alone', () => {
+        assert.deepEqual(parseScala('Unison\n0\n'), {
+            description: 'Unison',
+            degrees: [0],
+            period: 1200,
+        });
+    });
+
+    it('rejects malformed files', () => {
+        assert.throws(() => parseScala('Only a description'), /Missing description/);
+        assert.throws(() => parseScala('Bad\n-1\n'), /Invalid note count/);
+        assert.throws(() => parseScala('Bad\nmany\n'), /Invalid note count/);
+        assert.throws(() => parseScala('Short\n3\n3/2\n2\n'), /Expected 3 pitches but found 2/);
+        assert.throws(() => parseScala('Bad\n1\nabc\n'), /Invalid pitch/);
+        assert.throws(() => parseScala('Down\n1\n1/2\n'), /above 1\/1/);
+    });
+});
+
+describe('quantization', () => {
+    afterEach(() => Object.assign(TUNING, DEFAULT_TUNING));
+
+    it('leaves frequencies alone when off', () => {
+        TUNING.scale = 'off';
+        assert.equal(quantizeFrequency(123.4), 123.4);
+    });
+
+    it('snaps to the nearest chromatic note of the reference pitch', () => {
+        TUNING.scale = 'chromatic';
+        assertClose(quantizeFrequency(445), 440);
+        assertClose(quantizeFrequency(460), midiNoteToFrequency(70));
+        TUNING.referencePitch = 432;
+        assertClose(quantizeFrequency(430), 432);
+    });
+
+    it('snaps up to the next period when that is nearest', () => {
+        TUNING.scale = 'major';
+        TUNING.root = 0; // C major
+        // B4 is in the scale, and just below C5 rounds up to C5
+        assertClose(quantizeFrequency(midiNoteToFrequency(71)), midiNoteToFrequency(71));
+        assertClose(quantizeFrequency(midiNoteToFrequency(71.8)), midiNoteToFrequency(72));
+    });
+
+    it('repeats a unison-only Scala scale every octave', () => {
+        loadScala('Unison\n0\n');
+        assert.equal(TUNING.scale, 'scala');
+        assertClose(quantizeFrequency(500), 440);
+        assertClose(quantizeFrequency(700), 880);
+    });
+
+    it('describes frequencies as notes with a cents offset', () => {
+        assert.deepEqual(describeFrequency(440), { name: 'A', octave: 4, cents: 0 });
+        const { name, octave, cents } = describeFrequency(midiNoteToFrequency(60.25));
+        assert.equal(`${name}${octave}`, 'C4');
+        assertClose(cents, 25);
+    });
+});
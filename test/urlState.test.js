@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { PARAM_SCHEMA, TUNING_SCHEMA } from '../src/paramSchema.js';
+import { formatParamsHash, readParamsFromUrl, sanitizeParam } from '../src/urlState.js';
+
+describe('sanitizeParam', () => {
+    it('clamps numbers to the range and snaps them to the step', () => {
+        assert.equal(sanitizeParam(PARAM_SCHEMA.m, '40'), 15);
+        assert.equal(sanitizeParam(PARAM_SCHEMA.m, '-3'), 1);
+        assert.equal(sanitizeParam(PARAM_SCHEMA.vibrationStrength, '0.123'), 0.12);
+        assert.equal(sanitizeParam(PARAM_SCHEMA.particles, 12345), 12000);
+    });
+
+    it('rejects values that are not numbers', () => {
+        assert.equal(sanitizeParam(PARAM_SCHEMA.m, 'abc'), undefined);
+        assert.equal(sanitizeParam(PARAM_SCHEMA.m, 'Infinity'), undefined);
+    });
+
+    it('only accepts listed options', () => {
+        assert.equal(sanitizeParam(PARAM_SCHEMA.plateShape, 'circular'), 'circular');
+        assert.equal(sanitizeParam(PARAM_SCHEMA.plateShape, 'triangle'), undefined);
+    });
+
+    it('reads switches as 1/0 or true/false', () => {
+        assert.equal(sanitizeParam(PARAM_SCHEMA.nodalLines, '1'), true);
+        assert.equal(sanitizeParam(PARAM_SCHEMA.nodalLines, '0'), false);
+        assert.equal(sanitizeParam(PARAM_SCHEMA.nodalLines, 'true'), true);
+        assert.equal(sanitizeParam(PARAM_SCHEMA.nodalLines, false), false);
+        assert.equal(sanitizeParam(PARAM_SCHEMA.nodalLines, 'yes'), undefined);
+    });
+
+    it('reads hex colours with or without the #', () => {
+        assert.equal(sanitizeParam(PARAM_SCHEMA.backgroundColor, '#A0B1C2'), '#a0b1c2');
+        assert.equal(sanitizeParam(PARAM_SCHEMA.backgroundColor, '112233'), '#112233');
+        assert.equal(sanitizeParam(PARAM_SCHEMA.backgroundColor, 'red'), undefined);
+        assert.equal(sanitizeParam(PARAM_SCHEMA.backgroundColor, '#123'), undefined);
+    });
+});
+
+describe('URL hash', () => {
+    it('round-trips every kind of parameter', () => {
+        const params = {
+            plateShape: 'free',
+            m: 5,
+            vibrationStrength: 0.15,
+            nodalLines: true,
+            interaction: false,
+            backgroundColor: '#204060',
+        };
+        const hash = formatParamsHash(params, PARAM_SCHEMA);
+        assert.equal(
+            hash,
+            '#plateShape=free&m=5&vibrationStrength=0.15&interaction=0&backgroundColor=204060&nodalLines=1',
+        );
+        assert.deepEqual(readParamsFromUrl(PARAM_SCHEMA, hash), params);
+    });
+
+    it('skips parameters missing from the params or the schema', () => {
+        assert.equal(formatParamsHash({ m: 2, isPlaying: true }, PARAM_SCHEMA), '#m=2');
+        assert.deepEqual(readParamsFromUrl(PARAM_SCHEMA, '#m=2&isPlaying=1&n=oops'), { m: 2 });
+    });
+
+    it('reads the tuning within the ranges of its panel, but no Scala scale', () => {
+        const tuning = { scale: 'just', root: 2, referencePitch: 432.5 };
+        const hash = formatParamsHash(tuning, TUNING_SCHEMA);
+        assert.equal(hash, '#scale=just&root=2&referencePitch=432.5');
+        assert.deepEqual(readParamsFromUrl(TUNING_SCHEMA, hash), tuning);
+        assert.deepEqual(readParamsFromUrl(TUNING_SCHEMA, '#scale=scala&referencePitch=500'), {
+            referencePitch: 466,
+        });
+    });
+});
@@ -1,5 +1,33 @@
 import { defineConfig } from 'vite';
 
-export default defineConfig({
+// Cross-origin isolation enables SharedArrayBuffer, which lets the particle
+// simulation run in a worker. Without these headers it falls back to the main thread.
+const crossOriginIsolationHeaders = {
+    'Cross-Origin-Opener-Policy': 'same-origin',
+    'Cross-Origin-Embedder-Policy': 'require-corp',
+};
+
+// `vite build --mode lib` bundles <cymatic-plate> and its dependencies into one
+// ES module for embedding on other sites, instead of building the app
+const libraryBuild = {
+    build: {
+        outDir: 'dist-lib',
+        lib: {
+            entry: 'src/lib.js',
+            formats: ['es'],
+            fileName: 'cymatic',
+        },
+    },
+};
+
+const appBuild = {
     base: '/Cymatic/', // 👈 change this to match your GitHub repo name
-});
+    server: {
+        headers: crossOriginIsolationHeaders,
+    },
+    preview: {
+        headers: crossOriginIsolationHeaders,
+    },
+};
+
+export default defineConfig(({ mode }) => (mode === 'lib' ? libraryBuild : appBuild));